@@ -79,4 +79,27 @@ export class ButtonSet {
 
     return false;
   }
+
+  setEnabled(enabled) {
+    for (let i = 0; i < this.buttons.length; i++) {
+      this.buttons[i].button.input.enabled = enabled;
+    }
+  }
+
+  setText(buttonID, text) {
+    for (let i = 0; i < this.buttons.length; i++) {
+      if (this.buttons[i].id.toLowerCase() === buttonID.toLowerCase() && this.buttons[i].text) {
+        var buttonImage = this.buttons[i].button;
+        var label = this.buttons[i].text;
+
+        label.setText(text);
+        label.y = buttonImage.y + (buttonImage.height / 2) - label.height / 2;
+        label.x = buttonImage.x + (buttonImage.width / 2) - label.width / 2;
+
+        return true;
+      }
+    }
+
+    return false;
+  }
 }
@@ -0,0 +1,113 @@
+
+const textStyle = { font: "40px Comic Sans MS", fill: "#FDFDFD", align: "left", stroke: "#000000", strokeThickness: 6 };
+
+const BOSS_BAR_WIDTH = 600;
+const BOSS_BAR_HEIGHT = 30;
+
+// The in-level display of the score, lives, enemies left, the bullet colour,
+// the boss's health and the countdown while the player waits to respawn.
+// The score and lives follow the game session's signals, everything else is
+// read from the level and player each frame.
+export class Hud {
+  constructor(game, session) {
+    this.game = game;
+    this.session = session;
+  }
+
+  create(level, player) {
+    this.level = level;
+    this.player = player;
+
+    this.scoreLabel = this.game.add.text(260, 45, "", textStyle);
+    this.livesLabel = this.game.add.text(620, 45, "", textStyle);
+    this.enemiesLabel = this.game.add.text(860, 45, "", textStyle);
+
+    this.bulletLabel = this.game.add.text(1380, 45, "Bullet", textStyle);
+    this.bulletSwatch = this.game.add.graphics(1510, 50);
+
+    this.countdown = this.game.add.text(0, 0, "", { font: "90px Comic Sans MS", fill: "#FDFDFD", align: "center", stroke: "#000000", strokeThickness: 8 });
+    this.countdown.visible = false;
+
+    if (level.enemyBoss) {
+      this.bossLabel = this.game.add.text(0, 125, "Boss", textStyle);
+      this.bossLabel.x = this.game.world.centerX - BOSS_BAR_WIDTH / 2 - this.bossLabel.width - 20;
+      this.bossBar = this.game.add.graphics(this.game.world.centerX - BOSS_BAR_WIDTH / 2, 135);
+    }
+
+    this.session.onScoreChanged.add(this.showScore, this);
+    this.session.onLivesChanged.add(this.showLives, this);
+
+    this.showScore(this.session.score);
+    this.showLives(this.session.lives);
+    this.bulletColour = null;
+    this.bossHealth = null;
+  }
+
+  showScore(score) {
+    this.scoreLabel.text = `Score: ${score}`;
+  }
+
+  showLives(lives) {
+    this.livesLabel.text = `Lives: ${lives}`;
+  }
+
+  showBullet(colour) {
+    this.bulletColour = colour;
+    this.bulletSwatch.clear();
+    this.bulletSwatch.lineStyle(4, 0xFFFFFF, 1);
+    this.bulletSwatch.beginFill(Number(colour), 1);
+    this.bulletSwatch.drawRect(0, 0, 40, 40);
+    this.bulletSwatch.endFill();
+  }
+
+  showBossHealth(boss) {
+    this.bossHealth = boss.hitsToKill - boss.hits;
+    const remaining = Math.max(0, this.bossHealth / boss.hitsToKill);
+
+    this.bossBar.clear();
+    this.bossBar.beginFill(0x000000, 0.6);
+    this.bossBar.drawRect(0, 0, BOSS_BAR_WIDTH, BOSS_BAR_HEIGHT);
+    this.bossBar.endFill();
+
+    this.bossBar.beginFill(0xFF0000, 1);
+    this.bossBar.drawRect(0, 0, BOSS_BAR_WIDTH * remaining, BOSS_BAR_HEIGHT);
+    this.bossBar.endFill();
+
+    this.bossBar.lineStyle(3, 0xFFFFFF, 1);
+    this.bossBar.drawRect(0, 0, BOSS_BAR_WIDTH, BOSS_BAR_HEIGHT);
+  }
+
+  update() {
+    const remaining = Math.max(0, this.level.totalEnemies - this.level.dead);
+    this.enemiesLabel.text = `Enemies left: ${remaining}`;
+
+    const colour = this.player.getBulletColour();
+
+    if (colour != this.bulletColour) {
+      this.showBullet(colour);
+    }
+
+    const boss = this.level.enemyBoss;
+
+    if (boss && boss.hitsToKill - boss.hits != this.bossHealth) {
+      this.showBossHealth(boss);
+    }
+
+    if (this.player.isAlive()) {
+      this.countdown.visible = false;
+    } else {
+      this.countdown.text = this.session.isOutOfLives() ? "Out of lives" :
+        `Respawning in ${Math.ceil(this.player.respawnRemaining() / 1000)}`;
+      this.countdown.x = this.game.world.centerX - this.countdown.width / 2;
+      this.countdown.y = this.game.world.centerY - this.countdown.height / 2;
+      this.countdown.visible = true;
+    }
+  }
+
+  // The display objects go with the state, but the session lives on, so
+  // the HUD has to stop listening to it.
+  destroy() {
+    this.session.onScoreChanged.remove(this.showScore, this);
+    this.session.onLivesChanged.remove(this.showLives, this);
+  }
+}
@@ -2,34 +2,63 @@
 import { EnemyActiveBehaviour } from '../enemy/enemyActiveBehaviour.js';
 import { EnemyEmptyBehaviour } from '../enemy/enemyEmptyBehaviour.js';
 import { EnemyIdleBehaviour } from '../enemy/enemyIdleBehaviour.js';
-import { PLAYER_SCORE } from '../actors/player.js';
 import { EnemySpawn } from '../enemy/enemySpawn.js';
+import { EnemyBoss } from '../enemy/enemyBoss.js';
 import { getLayout } from '../stages/levels/levels.js';
+import { GameException, ErrorSeverity } from '../exception.js';
+import { validateLevel, normaliseLevel, formatErrors } from '../../../shared/level-schema.js';
 
 export class Level {
-  constructor(phaser, layoutID, filename) {
+  constructor(phaser, levelID, session) {
     this.game = phaser;
     this.platformGroup = null;
     this.enemySpawns = [];
     this.enemyBoss = null;
     this.platforms = [];
     this.totalEnemies = 0;
-    this.filename = filename;
+    this.dead = 0;
+    this.levelID = levelID;
+    this.session = session;
     this.sceneID = "Menu";
+    this.playerStart = null;
+    this.checkpoints = [];
+    this.LevelData = null;
+    this.loadError = null;
+
+    const layout = getLayout(levelID);
+
+    try {
+      if (layout != null) {
+        this.LevelData = JSON.parse(layout);
+      } else {
+        this.loadError = "Level " + levelID + " could not be loaded";
+      }
+    } catch (err) {
+      this.loadError = "Level " + levelID + " is not valid JSON: " + err.message;
+    }
+  }
 
-    const onlineData = getLayout(layoutID);
-
-    if (onlineData != null) {
-      this.LevelData = JSON.parse(onlineData);
-    } else {
-      var request = new XMLHttpRequest();
-      request.open('GET', filename, false);
-      request.send(null);
+  // Checks the level against the shared level schema, reporting what is wrong
+  // rather than leaving a half-built scene. Returns false if it is unusable.
+  validate() {
+    if (this.loadError == null) {
+      const errors = validateLevel(this.LevelData, this.game.cache.getKeys(Phaser.Cache.IMAGE));
 
-      if (request.status === 200) {
-        this.LevelData = JSON.parse(request.responseText);
+      if (errors.length > 0) {
+        this.loadError = "Level " + this.levelID + " is invalid:\n" + formatErrors(errors);
+      } else {
+        this.LevelData = normaliseLevel(this.LevelData);
       }
     }
+
+    if (this.loadError != null) {
+      var exception = new GameException();
+      exception.set("Couldnt build level", this.loadError, ErrorSeverity.High);
+      exception.throw();
+      return false;
+    }
+
+    return true;
   }
 
   stopSpawningEnemies() {
@@ -38,72 +67,129 @@ export class Level {
     }
   }
 
+  pauseSpawningEnemies() {
+    for (var i = 0; i < this.enemySpawns.length; i++) {
+      this.enemySpawns[i].pause();
+    }
+  }
+
+  resumeSpawningEnemies() {
+    for (var i = 0; i < this.enemySpawns.length; i++) {
+      this.enemySpawns[i].resume();
+    }
+  }
+
+  setSpawnTimeScale(scale) {
+    for (var i = 0; i < this.enemySpawns.length; i++) {
+      this.enemySpawns[i].setTimeScale(scale);
+    }
+  }
+
   createWorld() {
-    this.background = this.game.add.sprite(0, 0, this.LevelData.Background);
+    if (!this.validate()) {
+      return false;
+    }
+
+    this.background = this.game.add.sprite(0, 0, this.LevelData.background);
     this.background.height = 1080;
     this.background.width = 1920;
-    this.sceneID = this.LevelData.Next;
+    this.sceneID = this.LevelData.next;
+    this.playerStart = this.LevelData.playerStart;
+    this.checkpoints = this.LevelData.checkpoints;
     this.next = this.game.add.sprite(1800, 900, "arrow");
     this.next.visible = false;
 
-    for (var i = 0; i < this.LevelData.EnemySpawns.length; i++) {
-      var element = this.LevelData.EnemySpawns[i];
-
-      var spawnX = Number(element.SpawnPosition.x);
-      var spawnY = Number(element.SpawnPosition.y);
-
-      var gateX = Number(element.GatePosition.x);
-      var gateY = Number(element.GatePosition.y);
+    for (var i = 0; i < this.LevelData.spawns.length; i++) {
+      var element = this.LevelData.spawns[i];
 
-      var enemySpawn = new EnemySpawn(this.game, element.ID);
-      enemySpawn.setSpawnPosition(gateX, gateY);
-      enemySpawn.setSpawnNumber(Number(element.Spawns), ["enemy1", "enemy2", "enemy3"], function (enemy, ID) {
-        var random = Math.random();
-        if (random > Number(element.Behaviour.Active)) {
-          enemy.behaviour = new EnemyActiveBehaviour();
-        } else {
+      var enemySpawn = new EnemySpawn(this.game, element.texture);
+      enemySpawn.setSpawnPosition(element.gate.x, element.gate.y);
+      enemySpawn.setWaves(element.waves, ["enemy1", "enemy2", "enemy3"], function (enemy, group) {
+        if (group.behaviour == "idle") {
           enemy.behaviour = new EnemyIdleBehaviour();
+        } else {
+          enemy.behaviour = new EnemyActiveBehaviour();
         }
       });
 
-      enemySpawn.startSpawning(Number(element.Delay), spawnX, spawnY);
+      enemySpawn.startSpawning(element.position.x, element.position.y);
 
       this.enemySpawns[i] = (enemySpawn);
-      this.totalEnemies += Number(element.Spawns);
+      this.totalEnemies += element.count;
     }
 
     this.platformGroup = this.game.add.group();
 
-    for (var i = 0; i < this.LevelData.Platforms.length; i++) {
-      var element = this.LevelData.Platforms[i];
-
-      var x = element.x;
-      var y = element.y;
-      var w = element.w;
-      var h = element.h;
+    for (var i = 0; i < this.LevelData.platforms.length; i++) {
+      var element = this.LevelData.platforms[i];
 
-      this.platforms[i] = this.game.add.tileSprite(Number(x), Number(y), Number(w), Number(h), element.ID);
+      this.platforms[i] = this.game.add.tileSprite(element.x, element.y, element.w, element.h, element.texture);
       this.game.physics.enable(this.platforms[i], Phaser.Physics.ARCADE);
       this.platformGroup.add(this.platforms[i]);
+
+      if (element.path) {
+        this.game.add.tween(this.platforms[i])
+          .to({ x: element.path.x, y: element.path.y }, element.path.duration, Phaser.Easing.Sine.InOut, true, 0, -1, true);
+      }
     }
 
     this.platformGroup.setAll('body.immovable', true);
 
-    if (this.LevelData.Boss) {
-      var textureID = this.LevelData.Boss.ID;
-      var health = Number(this.LevelData.Boss.HitPoints);
-      var x = Number(this.LevelData.Boss.x);
-      var y = Number(this.LevelData.Boss.y);
+    this.hazardGroup = this.game.add.group();
+
+    for (var i = 0; i < this.LevelData.hazards.length; i++) {
+      var element = this.LevelData.hazards[i];
+
+      var hazard = this.game.add.tileSprite(element.x, element.y, element.w, element.h, element.texture);
+      this.game.physics.enable(hazard, Phaser.Physics.ARCADE);
+      hazard.body.allowGravity = false;
+      hazard.body.immovable = true;
+      this.hazardGroup.add(hazard);
+    }
+
+    this.pickupGroup = this.game.add.group();
+
+    for (var i = 0; i < this.LevelData.pickups.length; i++) {
+      var element = this.LevelData.pickups[i];
 
-      this.enemyBoss = new EnemyBoss(this.game, health);
-      this.enemyBoss.setup(x, y, textureID);
+      var pickup = this.game.add.sprite(element.x, element.y, element.texture);
+      this.game.physics.enable(pickup, Phaser.Physics.ARCADE);
+      pickup.body.allowGravity = false;
+      pickup.points = element.points;
+      this.pickupGroup.add(pickup);
     }
+
+    if (this.LevelData.boss) {
+      var boss = this.LevelData.boss;
+
+      this.enemyBoss = new EnemyBoss(this.game, boss.hitPoints);
+      this.enemyBoss.setup(boss.x, boss.y, boss.texture);
+    }
+
+    return true;
   }
 
   update(player) {
     this.game.physics.arcade.collide(player.sprite, this.platformGroup);
     this.game.physics.arcade.collide(player.getBulletSprite(), this.platformGroup);
 
+    if (player.isAlive()) {
+      this.game.physics.arcade.overlap(player.sprite, this.hazardGroup, () => player.die());
+      this.game.physics.arcade.overlap(player.sprite, this.pickupGroup, (sprite, pickup) => {
+        player.session.addScore(pickup.points);
+        pickup.destroy();
+      });
+
+      for (let i = 0; i < this.checkpoints.length; i++) {
+        var checkpoint = this.checkpoints[i];
+
+        if (player.checkpoint != checkpoint &&
+            Phaser.Math.distance(player.sprite.x, player.sprite.y, checkpoint.x, checkpoint.y) <= checkpoint.radius) {
+          player.reachCheckpoint(checkpoint);
+        }
+      }
+    }
+
     this.dead = 0;
 
     for(let i = 0; i < this.enemySpawns.length; i++) {
@@ -111,7 +197,7 @@ export class Level {
     }
 
     if (this.enemyBoss != null) {
-      this.enemyBoss.update(player.sprite, this.platformGroup, player.projectile);
+      this.enemyBoss.update(player, this.platformGroup, player.projectile);
     }
 
     if (this.dead >= this.totalEnemies && (this.enemyBoss == null || this.enemyBoss.isDead())) {
@@ -122,8 +208,10 @@ export class Level {
       }
 
       if (player.sprite.x > 1850) {
-        PLAYER_SCORE(100);
-        this.game.state.start(this.sceneID, true, false, player.getScore());
+        this.session.addScore(100);
+
+        this.session.finishLevel(true);
+        this.game.state.start(this.sceneID, true, false, this.session);
       }
     }
   }
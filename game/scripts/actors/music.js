@@ -11,6 +11,14 @@ export const Music = {
     }
   },
   
+  resume: function (ID) {
+    for (var i = 0; i < this.sounds.length; i++) {
+      if (this.sounds[i].ID == ID) {
+        this.sounds[i].obj.resume();
+      }
+    }
+  },
+
   stop: function (ID) {
     for (var i = 0; i < this.sounds.length; i++) {
       if (this.sounds[i].ID == ID) {
@@ -35,6 +43,16 @@ export const Music = {
     }
   },
 
+  isPlaying: function (ID) {
+    for (var i = 0; i < this.sounds.length; i++) {
+      if (this.sounds[i].ID == ID && this.sounds[i].obj.isPlaying) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
   hasDecodedTracks: function () {
     var decodedTracks = 0;
 
@@ -34,11 +34,11 @@ populateNewsBoard(maxStories) {
     const header = "New Version";
     const text = "herewearetestingthelimitofthenewsfeedas";
 
-    this.newsLabels[(i * 2)] = this.phaser.add.text(750, 425 + (i * 35), this.newsStories[i].Heading.S,
+    this.newsLabels[(i * 2)] = this.phaser.add.text(750, 425 + (i * 35), this.newsStories[i].Heading,
     { font: "30px Comic Sans MS", fill: "#FDFDFD", align: "left" }
   );
 
-  this.newsLabels[(i * 2) + 1] = this.phaser.add.text(930, 425 + (i * 35), this.newsStories[i].Text.S,
+  this.newsLabels[(i * 2) + 1] = this.phaser.add.text(930, 425 + (i * 35), this.newsStories[i].Text,
   { font: "30px Comic Sans MS", fill: "#FDFDFD", align: "left" }
 );
 }
@@ -0,0 +1,88 @@
+
+import { ButtonSet } from './buttons.js';
+import { Music } from './music.js';
+
+const VOLUME_STEPS = [1, 0.75, 0.5, 0.25];
+
+const BUTTON_WIDTH = 400;
+const BUTTON_HEIGHT = 100;
+
+// The overlay shown while a level is paused. The level state does the
+// pausing, this draws the menu and hands the resume, restart and quit
+// presses back to it. Sound settings are changed here directly.
+export class PauseMenu {
+  constructor(game, owner) {
+    this.game = game;
+    this.owner = owner;
+    this.group = null;
+  }
+
+  isOpen() {
+    return this.group != null;
+  }
+
+  open(title) {
+    var x = this.game.world.centerX - BUTTON_WIDTH / 2;
+
+    this.group = this.game.add.group();
+
+    var shade = this.game.add.graphics(0, 0, this.group);
+    shade.beginFill(0x000000, 0.6);
+    shade.drawRect(0, 0, 1920, 1080);
+    shade.endFill();
+
+    var heading = this.game.add.text(0, 80, "Paused", { font: "100px Comic Sans MS", fill: "#FDFDFD", align: "center" }, this.group);
+    heading.x = this.game.world.centerX - heading.width / 2;
+
+    var subtitle = this.game.add.text(0, 220, title, { font: "50px Comic Sans MS", fill: "#FDFDFD", align: "center" }, this.group);
+    subtitle.x = this.game.world.centerX - subtitle.width / 2;
+
+    this.buttons = new ButtonSet(this.game);
+    this.buttons.pushButton("RESUME", x, 330, 'button', this.owner.resumeGame, this.owner);
+    this.buttons.pushButton("RESTART", x, 460, 'button', this.owner.restartLevel, this.owner);
+    this.buttons.pushButton("SOUND", x, 590, 'button', this.toggleSound, this);
+    this.buttons.pushButton("VOLUME", x, 720, 'button', this.changeVolume, this);
+    this.buttons.pushButton("QUIT", x, 850, 'button', this.owner.handleBackButtonPress, this.owner);
+    this.buttons.setButtonSetSize(BUTTON_WIDTH, BUTTON_HEIGHT);
+
+    this.buttons.attachText("RESUME", "Resume", "50px Comic Sans MS");
+    this.buttons.attachText("RESTART", "Restart Kingdom", "45px Comic Sans MS");
+    this.buttons.attachText("SOUND", this.soundLabel(), "45px Comic Sans MS");
+    this.buttons.attachText("VOLUME", this.volumeLabel(), "45px Comic Sans MS");
+    this.buttons.attachText("QUIT", "Quit to Menu", "45px Comic Sans MS");
+
+    this.buttons.buttons.forEach(entry => {
+      this.group.add(entry.button);
+      this.group.add(entry.text);
+    });
+  }
+
+  close() {
+    if (this.group != null) {
+      this.group.destroy(true);
+      this.group = null;
+      this.buttons = null;
+    }
+  }
+
+  soundLabel() {
+    return Music.muted ? "Sound: Off" : "Sound: On";
+  }
+
+  volumeLabel() {
+    return `Volume: ${Math.round(this.game.sound.volume * 100)}%`;
+  }
+
+  toggleSound() {
+    Music.mute();
+    this.buttons.setText("SOUND", this.soundLabel());
+  }
+
+  // Steps the volume down a quarter at a time, back round to full.
+  changeVolume() {
+    var step = VOLUME_STEPS.indexOf(this.game.sound.volume);
+
+    this.game.sound.volume = VOLUME_STEPS[(step + 1) % VOLUME_STEPS.length];
+    this.buttons.setText("VOLUME", this.volumeLabel());
+  }
+}
@@ -1,28 +1,34 @@
 
 import { Bullet, BulletType } from './bullet.js';
+import { GameSession } from './session.js';
 
-export var PLAYER_SCORE = function (start) {
-  var score = start;
-  return function (number) {
-    score += number;
-    return score;
-  }
-}(0);
+const RESPAWN_DELAY = 3000;
+const INVULNERABLE_TIME = 2000;
+const DEATH_ANIMATION_TIME = 600;
 
 export class Player {
-  constructor(game) {
+  constructor(game, session) {
     this.projectile = new Bullet(game);
+    this.session = session || new GameSession();
+    this.stats = this.session.stats();
     this.game = game;
     this.timeout = true;
     this.duration = undefined;
     this.disableUpdate = false;
-    this.deaths = 0;
+    this.start = { x: 0, y: 650 };
+    this.checkpoint = null;
+    this.alive = true;
+    this.invulnerable = false;
   }
 
-  setup() {
+  setup(start) {
     this.projectile.setup();
 
-    this.sprite = this.game.add.sprite(0, 650, 'character');
+    if (start) {
+      this.start = start;
+    }
+
+    this.sprite = this.game.add.sprite(this.start.x, this.start.y, 'character');
     this.sprite.animations.add('walk', [0, 1, 2, 3, 4, 5]);
     this.sprite.anchor.setTo(0.5, 1);
 
@@ -30,6 +36,11 @@ export class Player {
 
     this.sprite.body.gravity.y = 400;
     this.sprite.body.collideWorldBounds = true;
+
+    // Respawn and invulnerability run on the game clock, so they pause with
+    // the game and are thrown away when the state shuts down.
+    this.timer = this.game.time.create(false);
+    this.timer.start();
   }
 
   exitScene() {
@@ -43,12 +54,100 @@ export class Player {
     this.sprite.y = y;
   }
 
+  // Where the player comes back after dying: the last checkpoint they
+  // reached, or the level's start position.
+  respawnPoint() {
+    return this.checkpoint || this.start;
+  }
+
+  reachCheckpoint(checkpoint) {
+    this.checkpoint = checkpoint;
+  }
+
+  // Touching an enemy or a hazard kills the player. They fade out, come back
+  // at their respawn point after three seconds and can't be hurt for a short
+  // while after that. Nothing happens while they're dead or invulnerable.
+  die() {
+    var sprite = this.sprite;
+
+    if (!this.alive || this.invulnerable) {
+      return;
+    }
+
+    this.alive = false;
+    this.worldX = undefined;
+    this.worldY = undefined;
+
+    this.stats.recordDeath();
+    this.session.addScore(-10);
+    this.session.loseLife();
+
+    sprite.animations.stop('walk', 0);
+    sprite.body.velocity.setTo(0, 0);
+    sprite.body.enable = false;
+
+    var fade = this.game.add.tween(sprite).to({ alpha: 0, angle: 90 * sprite.scale.x, y: sprite.y - 60 },
+      DEATH_ANIMATION_TIME, Phaser.Easing.Quadratic.Out, true);
+
+    fade.onComplete.add(() => {
+      sprite.visible = false;
+      this.setPosition(-50, -50);
+    });
+
+    if (this.session.isOutOfLives()) {
+      return;
+    }
+
+    this.timer.add(RESPAWN_DELAY, this.respawn, this);
+  }
+
+  respawn() {
+    var sprite = this.sprite;
+    var point = this.respawnPoint();
+
+    this.setPosition(point.x, point.y);
+    sprite.angle = 0;
+    sprite.alpha = 1;
+    sprite.visible = true;
+    sprite.body.enable = true;
+    sprite.body.velocity.setTo(0, 0);
+
+    this.alive = true;
+    this.makeInvulnerable(INVULNERABLE_TIME);
+  }
+
+  // The player flickers while invulnerable.
+  makeInvulnerable(duration) {
+    var flicker = this.game.add.tween(this.sprite).to({ alpha: 0.3 },
+      100, Phaser.Easing.Linear.None, true, 0, -1, true);
+
+    this.invulnerable = true;
+
+    this.timer.add(duration, () => {
+      flicker.stop();
+      this.sprite.alpha = 1;
+      this.invulnerable = false;
+    });
+  }
+
+  // Holds the respawn and invulnerability timers and the walk animation
+  // while the game is paused.
+  pause() {
+    this.timer.pause();
+    this.sprite.animations.paused = true;
+  }
+
+  resume() {
+    this.timer.resume();
+    this.sprite.animations.paused = false;
+  }
+
   switchProjectile() {
     this.projectile.switchType();
   }
 
   update(pointer, level, overHud)  {
-    if (!this.disableUpdate) {
+    if (!this.disableUpdate && this.alive) {
       if (pointer.msSinceLastClick <= 250 && this.sprite.body.velocity.y == 0.0) {
         this.sprite.body.velocity.y = -500;
         pointer.msSinceLastClick = 500;
@@ -61,13 +160,15 @@ export class Player {
       }
 
       if (pointer.isUp) {
-        if (this.duration != undefined && this.duration > 250 && this.sprite.visible) {
+        if (this.duration != undefined && this.duration > 250) {
           this.projectile.fire(this.sprite.x,
             this.sprite.y, this.duration,
             this.sprite.scale.x,
             parseInt(pointer.worldX),
             parseInt(pointer.worldY)
           );
+
+          this.stats.recordShot();
         } else if (this.duration < 250 && this.duration != undefined) {
           this.worldX = parseInt(pointer.worldX);
           this.worldY = parseInt(pointer.worldY);
@@ -98,7 +199,7 @@ export class Player {
       }
     }
 
-    this.projectile.update(this.sprite.x, this.sprite.y, this.sprite.visible);
+    this.projectile.update(this.sprite.x, this.sprite.y, this.alive);
   }
 
   getBulletColour() {
@@ -113,12 +214,21 @@ export class Player {
     return "0xFFFFFF";
   }
 
+  // How long until the player respawns, in ms.
+  respawnRemaining() {
+    return this.alive ? 0 : this.timer.duration;
+  }
+
   isAlive() {
-    return this.sprite.visible;
+    return this.alive;
+  }
+
+  isInvulnerable() {
+    return this.invulnerable;
   }
 
   getScore() {
-    return PLAYER_SCORE(0);
+    return this.session.score;
   }
 
   getBulletSprite() {
@@ -0,0 +1,177 @@
+
+import { HttpPostRequest, endpoint } from '../http/http.js';
+
+// Colour names for the enemy types in ENEMY_TYPES, in the same order.
+export const EnemyColours = ["green", "red", "black"];
+
+// What happened in one attempt at a level. The player, enemies and boss
+// record into it as things happen.
+export class LevelStats {
+  constructor(ID) {
+    this.id = ID;
+    this.cleared = false;
+    this.started = Date.now();
+
+    this.time = 0;
+    this.score = 0;
+    this.kills = { green: 0, red: 0, black: 0 };
+    this.wrongHits = 0;
+    this.deaths = 0;
+    this.shotsFired = 0;
+    this.bossDamage = 0;
+  }
+
+  recordKill(type) {
+    this.kills[EnemyColours[type]]++;
+  }
+
+  recordWrongHit() {
+    this.wrongHits++;
+  }
+
+  recordDeath() {
+    this.deaths++;
+  }
+
+  recordShot() {
+    this.shotsFired++;
+  }
+
+  recordBossDamage() {
+    this.bossDamage++;
+  }
+
+  recordScore(points) {
+    this.score += points;
+  }
+
+  enemiesKilled() {
+    return this.kills.green + this.kills.red + this.kills.black;
+  }
+
+  finish(cleared) {
+    this.cleared = cleared;
+    this.time = Date.now() - this.started;
+  }
+
+  // The summary this level's score is checked against on its own board.
+  summary() {
+    return {
+      levelsCleared: this.cleared ? 1 : 0,
+      enemiesKilled: this.enemiesKilled(),
+      bossHits: this.bossDamage,
+      deaths: this.deaths,
+      elapsed: this.time,
+      wrongHits: this.wrongHits,
+      shotsFired: this.shotsFired,
+      kills: Object.assign({}, this.kills)
+    };
+  }
+}
+
+// The statistics of a playthrough from the first kingdom onwards, kept by
+// its GameSession, along with what the score API needs to accept a score
+// from it.
+export class Run {
+  constructor() {
+    this.token = null;
+    this.levels = [];
+    this.current = null;
+    this.started = Date.now();
+    this.finished = null;
+  }
+
+  // Asks the server for the token scores from this run are posted with.
+  // Without one the run can still be played, just not submitted.
+  requestToken() {
+    const request = new HttpPostRequest(endpoint('/score/startRun/'));
+
+    request.setCallback(text => {
+      try {
+        this.token = JSON.parse(text).token || null;
+      } catch (err) {
+        this.token = null;
+      }
+    });
+
+    request.send({});
+  }
+
+  // Starts recording a level, returning the stats it records into.
+  startLevel(ID) {
+    this.current = new LevelStats(ID);
+    return this.current;
+  }
+
+  finishLevel(cleared) {
+    if (this.current != null) {
+      this.current.finish(cleared);
+      this.levels.push(this.current);
+      this.current = null;
+    }
+  }
+
+  // Forgets the level being played, returning its stats.
+  discardLevel() {
+    const stats = this.current;
+
+    this.current = null;
+    return stats;
+  }
+
+  // Ends the run, keeping the level it ended in as an uncleared attempt.
+  finish() {
+    if (this.finished == null) {
+      this.finishLevel(false);
+      this.finished = Date.now();
+    }
+  }
+
+  // Carries on a finished run, as when a game is continued. The level it
+  // ended in is played again, so its uncleared attempt is taken off the run
+  // and returned, or null if the run ended between levels.
+  resume() {
+    const last = this.levels[this.levels.length - 1];
+
+    this.finished = null;
+
+    if (last && !last.cleared) {
+      this.levels.pop();
+      return last;
+    }
+
+    return null;
+  }
+
+  elapsed() {
+    return (this.finished || Date.now()) - this.started;
+  }
+
+  total(field) {
+    return this.levels.reduce((total, level) => total + level[field], 0);
+  }
+
+  kills() {
+    const kills = { green: 0, red: 0, black: 0 };
+
+    this.levels.forEach(level => {
+      EnemyColours.forEach(colour => kills[colour] += level.kills[colour]);
+    });
+
+    return kills;
+  }
+
+  // The run summary the score API checks a score against and keeps with it.
+  summary() {
+    return {
+      levelsCleared: this.levels.filter(level => level.cleared).length,
+      enemiesKilled: this.levels.reduce((total, level) => total + level.enemiesKilled(), 0),
+      bossHits: this.total("bossDamage"),
+      deaths: this.total("deaths"),
+      elapsed: this.elapsed(),
+      wrongHits: this.total("wrongHits"),
+      shotsFired: this.total("shotsFired"),
+      kills: this.kills()
+    };
+  }
+}
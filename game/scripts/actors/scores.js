@@ -6,6 +6,8 @@ export class ScoreBoard {
     this.newsRequest = new HttpGetRequest(httpLink);
     this.newsStories = [];
     this.newsLabels = [];
+    this.rankRequest = null;
+    this.rankLabel = null;
     this.phaser = phaser;
   }
 
@@ -16,34 +18,84 @@ export class ScoreBoard {
     this.newsBackPlate.x = this.phaser.world.centerX - 800 / 2;
 
     this.newsHeader = this.phaser.add.text(1050, 220, "Top 10 Highscores",
-    { font: "60px Comic Sans MS", fill: "#FFFFFF", align: "center" }
-  );
+      { font: "60px Comic Sans MS", fill: "#FFFFFF", align: "center" }
+    );
 
-  this.newsHeader.height = 100;
-  this.newsHeader.width = 500;
-  this.newsHeader.x = this.phaser.world.centerX - 500 / 2;
+    this.newsHeader.height = 100;
+    this.newsHeader.width = 500;
+    this.newsHeader.x = this.phaser.world.centerX - 500 / 2;
 
-  var _this = this;
+    this.sendRequest();
+  }
+
+  // Responses to a request made before the last refresh are for another
+  // board, so they are ignored.
+  sendRequest() {
+    const request = this.newsRequest;
 
-  this.newsRequest.onReceived(function (d) {
-    if (_this.newsStories.length == 0) {
-      _this.newsStories = d;
-      _this.populateNewsBoard(10);
+    request.onReceived(d => {
+      if (request == this.newsRequest && this.newsStories.length == 0 && d.entries) {
+        this.newsStories = d.entries;
+        this.populateNewsBoard(10);
+      }
+    });
+
+    request.send();
+  }
+
+  refresh(httpLink) {
+    for (let i = 0; i < this.newsLabels.length; i++) {
+      this.newsLabels[i].destroy();
     }
-  });
 
-  this.newsRequest.send();
-}
+    if (this.rankLabel) {
+      this.rankLabel.destroy();
+      this.rankLabel = null;
+    }
 
-populateNewsBoard(maxStories) {
-  for (let i = 0; i < this.newsStories.length && i < maxStories; i++) {
-    this.newsLabels[(i * 2)] = this.phaser.add.text(700, 350 + (i * 60), this.newsStories[i].Name.S,
-    { font: "50px Comic Sans MS", fill: "#FDFDFD", align: "left" }
-  );
+    this.rankRequest = null;
+    this.newsRequest = new HttpGetRequest(httpLink);
+    this.newsStories = [];
+    this.newsLabels = [];
 
-  this.newsLabels[(i * 2) + 1] = this.phaser.add.text(1100, 350 + (i * 60), this.newsStories[i].Highscore.N,
-  { font: "50px Comic Sans MS", fill: "#FDFDFD", align: "left" }
-);
-}
-}
+    this.sendRequest();
+  }
+
+  showPlayerRank(httpLink) {
+    const rankRequest = new HttpGetRequest(httpLink);
+
+    this.rankRequest = rankRequest;
+
+    rankRequest.onReceived(player => {
+      if (rankRequest == this.rankRequest && player.rank) {
+        const text = `You are #${player.rank} of ${player.total}`;
+
+        if (this.rankLabel) {
+          this.rankLabel.text = text;
+        } else {
+          this.rankLabel = this.phaser.add.text(0, 960, text,
+            { font: "50px Comic Sans MS", fill: "#FFFFFF", align: "center" }
+          );
+        }
+
+        this.rankLabel.x = this.phaser.world.centerX - this.rankLabel.width / 2;
+      }
+    });
+
+    rankRequest.send();
+  }
+
+  populateNewsBoard(maxStories) {
+    for (let i = 0; i < this.newsStories.length && i < maxStories; i++) {
+      const entry = this.newsStories[i];
+
+      this.newsLabels[(i * 2)] = this.phaser.add.text(700, 350 + (i * 60), `${entry.rank}. ${entry.name}`,
+        { font: "50px Comic Sans MS", fill: "#FDFDFD", align: "left" }
+      );
+
+      this.newsLabels[(i * 2) + 1] = this.phaser.add.text(1100, 350 + (i * 60), entry.highscore.toString(),
+        { font: "50px Comic Sans MS", fill: "#FDFDFD", align: "left" }
+      );
+    }
+  }
 }
@@ -0,0 +1,166 @@
+
+import { Run, LevelStats } from './run.js';
+
+export const SessionState = {
+  Idle: "Idle",
+  Playing: "Playing",
+  Ended: "Ended"
+};
+
+// How many lives a game starts with, and the scores that each earn an extra
+// life. Replaced by data/rules.json when the game loads.
+export const GameRules = {
+  startingLives: 3,
+  extraLifeScores: [250, 750, 1500, 3000]
+};
+
+export const loadRules = rules => {
+  if (rules) {
+    Object.keys(GameRules).forEach(key => {
+      if (rules[key] !== undefined) {
+        GameRules[key] = rules[key];
+      }
+    });
+  }
+}
+
+// One game from pressing Start until the results screen: the score, lives,
+// the level being played and the run's statistics. It is handed between the
+// level states and the results screen through state.start.
+//
+// UI elements subscribe to the signals to hear about changes, and should
+// remove themselves when their state shuts down, since the session outlives
+// every state it passes through.
+export class GameSession {
+  constructor() {
+    this.onStart = new Phaser.Signal();
+    this.onReset = new Phaser.Signal();
+    this.onEnd = new Phaser.Signal();
+    this.onScoreChanged = new Phaser.Signal();
+    this.onLivesChanged = new Phaser.Signal();
+    this.onLevelChanged = new Phaser.Signal();
+    this.onOutOfLives = new Phaser.Signal();
+
+    this.clear();
+  }
+
+  clear() {
+    this.state = SessionState.Idle;
+    this.score = 0;
+    this.lives = GameRules.startingLives;
+    this.extraLivesEarned = 0;
+    this.continues = 0;
+    this.level = null;
+    this.run = new Run();
+  }
+
+  // Begins a new game, forgetting anything from an earlier one.
+  start() {
+    this.clear();
+    this.state = SessionState.Playing;
+    this.onStart.dispatch(this);
+  }
+
+  // Abandons the game, as when quitting to the menu.
+  reset() {
+    this.clear();
+    this.onReset.dispatch(this);
+  }
+
+  // Finishes the game, keeping its score and statistics for the results.
+  end() {
+    if (this.state != SessionState.Ended) {
+      this.run.finish();
+      this.state = SessionState.Ended;
+      this.onEnd.dispatch(this);
+    }
+  }
+
+  // Picks the game up again at the level it was lost in, with a fresh set
+  // of lives. That level is played again from the start, so the attempt it
+  // was lost in is taken back like a restart, keeping the score and
+  // statistics from before it.
+  continueGame() {
+    this.lives = GameRules.startingLives;
+    this.continues++;
+    this.state = SessionState.Playing;
+    this.takeBack(this.run.resume());
+    this.onLivesChanged.dispatch(this.lives, this.lives);
+  }
+
+  isPlaying() {
+    return this.state == SessionState.Playing;
+  }
+
+  isOutOfLives() {
+    return this.lives == 0;
+  }
+
+  addScore(points) {
+    this.score += points;
+    this.stats().recordScore(points);
+    this.onScoreChanged.dispatch(this.score, points);
+
+    const thresholds = GameRules.extraLifeScores;
+
+    while (this.extraLivesEarned < thresholds.length && this.score >= thresholds[this.extraLivesEarned]) {
+      this.extraLivesEarned++;
+      this.addLife();
+    }
+  }
+
+  addLife() {
+    this.lives++;
+    this.onLivesChanged.dispatch(this.lives, 1);
+  }
+
+  loseLife() {
+    this.lives = Math.max(0, this.lives - 1);
+    this.onLivesChanged.dispatch(this.lives, -1);
+
+    if (this.lives == 0) {
+      this.onOutOfLives.dispatch(this);
+    }
+  }
+
+  startLevel(ID) {
+    this.level = ID;
+    this.run.startLevel(ID);
+    this.onLevelChanged.dispatch(ID);
+  }
+
+  finishLevel(cleared) {
+    this.run.finishLevel(cleared);
+  }
+
+  // Throws away the attempt at the current level, taking back the points
+  // scored in it, so it can be played again from the start. Lives lost in it
+  // stay lost.
+  restartLevel() {
+    this.takeBack(this.run.discardLevel());
+  }
+
+  // Takes the points scored in a discarded level attempt back off the score.
+  takeBack(stats) {
+    if (stats != null && stats.score != 0) {
+      this.score -= stats.score;
+      this.onScoreChanged.dispatch(this.score, -stats.score);
+    }
+  }
+
+  // The statistics of the level being played. Outside a level they go
+  // nowhere.
+  stats() {
+    return this.run.current || new LevelStats(null);
+  }
+}
+
+// Starts a new game, asking the server for the token its score will be
+// submitted with.
+export const newGame = () => {
+  const session = new GameSession();
+
+  session.start();
+  session.run.requestToken();
+  return session;
+}
@@ -1,9 +1,9 @@
 
 
-import BootstrapLevels from './stages/levels/levels.js';
 import Controls from './stages/ui/controls.js';
 import Credits from './stages/ui/credits.js'
 import Scores from './stages/ui/scores.js';
+import Results from './stages/ui/results.js';
 import Menu from './stages/ui/menu.js';
 
 import Preload from './stages/preload.js';
@@ -40,8 +40,8 @@ const Application = {
         Menu(Application),
         Credits(Application),
         Scores(Application),
-        Controls(Application),
-        ...BootstrapLevels(Application)
+        Results(Application),
+        Controls(Application)
       ]);
     }
   );
@@ -1,6 +1,5 @@
 
 import { EnemyEmptyBehaviour } from './enemyEmptyBehaviour.js';
-import { PLAYER_SCORE } from '../actors/player.js';
 import { Music } from '../actors/music.js';
 
 export const ENEMY_TYPES = {
@@ -23,9 +22,8 @@ export class Enemy {
     var instance = this;
 
     if (this.sprite.visible) {
-      var playerHandler = function (ob1, ob2) {
-        instance.behaviour.playerCollision(ob1, ob2);
-        PLAYER_SCORE(-10);
+      var playerHandler = function () {
+        player.die();
       };
 
       var blockHandler = function (ob1, ob2) {
@@ -34,22 +32,28 @@ export class Enemy {
 
       var bulletHandle = function (ob1, ob2) {
         if (bullet.handleEnemyCollision(ob1, ob2, instance.type)) {
-          PLAYER_SCORE(2);
+          player.session.addScore(2);
+          player.stats.recordKill(instance.type);
           instance.kill();
         } else {
           Music.play("fail", false);
-          PLAYER_SCORE(-1);
+          player.session.addScore(-1);
+          player.stats.recordWrongHit();
         }
       }
 
       if (alive) {
         this.game.physics.arcade.collide(this.sprite, bullet.getActiveSprite(), bulletHandle);
-        this.game.physics.arcade.collide(this.sprite, player, playerHandler);
+
+        // A freshly respawned player can walk through enemies.
+        if (!player.isInvulnerable()) {
+          this.game.physics.arcade.collide(this.sprite, player.sprite, playerHandler);
+        }
       }
 
       this.game.physics.arcade.collide(this.sprite, walls, blockHandler);
 
-      instance.behaviour.update(instance.sprite, player);
+      instance.behaviour.update(instance.sprite, player.sprite);
     }
   }
 
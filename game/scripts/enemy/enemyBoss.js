@@ -1,4 +1,7 @@
 
+import { EnemyIdleBehaviour } from './enemyIdleBehaviour.js';
+import { ENEMY_TYPES } from './enemy.js';
+
 export class EnemyBoss {
   constructor(game, healthPoints) {
     this.hitsToKill = healthPoints;
@@ -39,9 +42,8 @@ export class EnemyBoss {
     var instance = this;
 
     if (this.sprite.visible) {
-      var playerHandler = function (ob1, ob2) {
-        instance.behaviour.playerCollision(ob1, ob2);
-        PLAYER_SCORE(-10);
+      var playerHandler = function () {
+        player.die();
       };
 
       var blockHandler = function (ob1, ob2) {
@@ -50,18 +52,24 @@ export class EnemyBoss {
 
       var bulletHandle = function (ob1, ob2) {
         if (bullet.handleEnemyCollision(ob1, ob2, instance.type)) {
-          PLAYER_SCORE(100);
+          player.session.addScore(100);
+          player.stats.recordBossDamage();
           instance.kill();
         } else {
-          PLAYER_SCORE(-1);
+          player.session.addScore(-1);
+          player.stats.recordWrongHit();
         }
       }
 
       this.game.physics.arcade.collide(this.sprite, bullet.getActiveSprite(), bulletHandle);
-      this.game.physics.arcade.collide(this.sprite, player, playerHandler);
+
+      if (!player.isInvulnerable()) {
+        this.game.physics.arcade.collide(this.sprite, player.sprite, playerHandler);
+      }
+
       this.game.physics.arcade.collide(this.sprite, walls, blockHandler);
 
-      instance.behaviour.update(instance.sprite, player);
+      instance.behaviour.update(instance.sprite, player.sprite);
     }
   }
 }
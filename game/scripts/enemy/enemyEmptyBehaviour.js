@@ -7,8 +7,4 @@ export class EnemyEmptyBehaviour {
   platformCollision(sprite, player) {
     // No collions to handle
   }
-
-  playerCollision(sprite, player) {
-    // No collisions to handle
-  }
 }
@@ -41,19 +41,4 @@ export class EnemyIdleBehaviour {
     this.platform = platform;
   }
 
-  playerCollision(sprite, player) {
-    player.body.velocity.x = 0;
-    player.body.gravity.y = 0;
-    player.visible = false;
-    player.y = -50;
-    player.x = -50;
-
-    setTimeout(function () {
-      player.body.gravity.y = 400;
-      player.visible = true;
-      player.y = 650;
-      player.x = 0;
-    }, 3000);
-  }
-
 }
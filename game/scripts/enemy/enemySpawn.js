@@ -1,6 +1,10 @@
 
 import { Enemy } from './enemy.js';
+import { EnemyColours } from '../actors/run.js';
 
+// Lets enemies out in the waves a level describes. Spawning runs on its own
+// clock, advanced by the game's frame time in update, so it stops while the
+// game is paused, can be slowed down or sped up and goes away with the level.
 export class EnemySpawn {
   constructor(game, textureID) {
     this.game = game;
@@ -8,20 +12,41 @@ export class EnemySpawn {
     this.spawnNumber = 0;
     this.enemies = [];
     this.spawns = 0;
+    this.waves = [];
+    this.waveStarts = [];
+    this.wave = 0;
+    this.waveSpawned = 0;
+    this.waitingForClear = false;
+    this.clock = 0;
+    this.nextSpawn = null;
+    this.timeScale = 1;
+    this.paused = false;
   }
 
-  setSpawnNumber(num, textureIDs, attachFunction) {
+  // Creates every enemy the spawn's waves will let out, in the order they
+  // come out. attachFunction is given each enemy and the group it is from.
+  setWaves(waves, textureIDs, attachFunction) {
     if (textureIDs.length == 3) {
-      this.spawnNumber = Number(num);
+      this.waves = waves;
 
-      for (var i = 0; i < this.spawnNumber; i++) {
-        var type = parseInt(Math.abs(Math.random() * 3));
+      waves.forEach(wave => {
+        this.waveStarts.push(this.enemies.length);
 
-        this.enemies.push(new Enemy(this.game, textureIDs[type], type));
-        if (attachFunction) {
-          attachFunction(this.enemies[i], i);
-        }
-      }
+        wave.enemies.forEach(group => {
+          var type = EnemyColours.indexOf(group.colour);
+
+          for (var i = 0; i < group.count; i++) {
+            var enemy = new Enemy(this.game, textureIDs[type], type);
+
+            this.enemies.push(enemy);
+            if (attachFunction) {
+              attachFunction(enemy, group);
+            }
+          }
+        });
+      });
+
+      this.spawnNumber = this.enemies.length;
     }
   }
 
@@ -34,8 +59,10 @@ export class EnemySpawn {
     var dead = 0;
     var playerAlive = player.isAlive();
 
+    this.tick();
+
     for (let b = 0; b < this.spawns; b++) {
-      this.enemies[b].update(player.sprite, walls, bullet, playerAlive);
+      this.enemies[b].update(player, walls, bullet, playerAlive);
       if (this.enemies[b].isDead()) {
         dead++;
       }
@@ -44,22 +71,96 @@ export class EnemySpawn {
     return dead;
   }
 
-  stopSpawning() {
-    clearInterval(this.intervalID);
-  }
+  // Advances the spawn's clock by one frame and lets out any enemies due.
+  tick() {
+    if (this.paused || (this.nextSpawn == null && !this.waitingForClear)) {
+      return;
+    }
+
+    this.clock += this.game.time.physicsElapsedMS * this.timeScale;
+
+    if (this.waitingForClear && this.waveCleared(this.wave)) {
+      this.waitingForClear = false;
+      this.startWave(this.wave + 1, this.clock);
+    }
+
+    while (this.nextSpawn != null && this.clock >= this.nextSpawn) {
+      var wave = this.waves[this.wave];
+
+      this.enemies[this.spawns].spawn(this.spawnX, this.spawnY);
+      this.spawns++;
+      this.waveSpawned++;
 
-  startSpawning(ms, x, y) {
-    this.intervalID = setInterval(() => {
-      if (this.spawns < this.enemies.length) {
-        if (this.spawns < this.spawnNumber) {
-          this.enemies[this.spawns].spawn(x, y);
-          this.spawns++;
-        } else {
-          clearInterval(this.intervalID);
-        }
+      if (this.waveSpawned < wave.count) {
+        this.nextSpawn += wave.interval;
       } else {
-        clearInterval(this.intervalID);
+        this.endWave();
+      }
+    }
+  }
+
+  // Once a wave has let out its last enemy the next one is either timed from
+  // now or waits until this one is cleared.
+  endWave() {
+    var next = this.waves[this.wave + 1];
+
+    if (next == undefined) {
+      this.nextSpawn = null;
+    } else if (next.after == "cleared") {
+      this.nextSpawn = null;
+      this.waitingForClear = true;
+    } else {
+      this.startWave(this.wave + 1, this.nextSpawn);
+    }
+  }
+
+  waveCleared(index) {
+    var start = this.waveStarts[index];
+
+    for (var i = start; i < start + this.waves[index].count; i++) {
+      if (!this.enemies[i].isDead()) {
+        return false;
       }
-    }, ms);
+    }
+
+    return true;
+  }
+
+  // Schedules the first enemy of a wave, its delay plus one interval after
+  // from.
+  startWave(index, from) {
+    var wave = this.waves[index];
+
+    this.wave = index;
+    this.waveSpawned = 0;
+    this.nextSpawn = from + wave.delay + wave.interval;
+  }
+
+  stopSpawning() {
+    this.nextSpawn = null;
+    this.waitingForClear = false;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  // 1 is normal speed, 0.5 lets enemies out half as often.
+  setTimeScale(scale) {
+    this.timeScale = scale;
+  }
+
+  startSpawning(x, y) {
+    this.spawnX = x;
+    this.spawnY = y;
+    this.clock = 0;
+
+    if (this.waves.length > 0) {
+      this.startWave(0, 0);
+    }
   }
 }
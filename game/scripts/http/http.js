@@ -6,8 +6,15 @@ import * as httpGet  from './httpGetRequest.js';
 //const serverAddress = 'http://52.30.3.233:3002';
 const serverAddress = 'http://localhost:3002';
 
+// The desktop build runs inside Electron, which exposes its version on
+// window.process, and keeps its own news feed and leaderboards on the server.
+const isDesktop = !!(window.process && window.process.versions && window.process.versions.electron);
+
+export const serviceVersion = isDesktop ? 'DESKTOP1' : 'VERSION1';
+
 export const endpoint = src => {
-  return `${serverAddress + src}`;
+  const separator = src.indexOf('?') == -1 ? '?' : '&';
+  return `${serverAddress + src + separator}service=${serviceVersion}`;
 }
 
 export const HttpLocalRequest = httpLocal.HttpLocalRequest;
@@ -0,0 +1,221 @@
+
+import { ButtonSet } from '../../actors/buttons.js';
+import { Player } from '../../actors/player.js';
+import { Hud } from '../../actors/hud.js';
+import { PauseMenu } from '../../actors/pauseMenu.js';
+import { Level } from '../../actors/level.js';
+import { Music } from '../../actors/music.js';
+import { GameSession } from '../../actors/session.js';
+import { levelName } from './levels.js';
+
+const PAUSE_KEYS = [Phaser.Keyboard.ESC, Phaser.Keyboard.P];
+
+// Stops every physics body under container from moving, returning the ones
+// it stopped so they can be started again.
+const freezeBodies = (container, frozen) => {
+  container.children.forEach(child => {
+    if (child.body && child.body.moves) {
+      child.body.moves = false;
+      frozen.push(child.body);
+    }
+
+    if (child.children && child.children.length > 0) {
+      freezeBodies(child, frozen);
+    }
+  });
+
+  return frozen;
+};
+
+// One instance of this state is registered under each level ID in the level
+// catalogue, see registerLevels in levels.js.
+export class LevelState {
+  constructor(levelID) {
+    this.levelID = levelID;
+  }
+
+  // Levels are started with the game session they are part of. Without one,
+  // a new game begins here.
+  init(session) {
+    this.session = session instanceof GameSession ? session : new GameSession();
+
+    if (!this.session.isPlaying()) {
+      this.session.start();
+    }
+  }
+
+  preload() {
+    this.game = LevelState.application.phaser;
+
+    this.session.startLevel(this.levelID);
+    this.levelLayout = new Level(this.game, this.levelID, this.session);
+    this.uiButtons = new ButtonSet(this.game);
+    this.player = new Player(this.game, this.session);
+    this.hud = new Hud(this.game, this.session);
+    this.pauseMenu = new PauseMenu(this.game, this);
+    this.paused = false;
+  }
+
+  create() {
+    this.ready = this.levelLayout.createWorld();
+
+    if (!this.ready) {
+      this.game.state.start("Menu");
+      return;
+    }
+
+    this.player.setup(this.levelLayout.playerStart);
+
+    this.pointer = this.game.input.activePointer;
+    this.pointer.x = this.levelLayout.playerStart.x;
+    this.pointer.y = this.levelLayout.playerStart.y;
+
+    this.uiButtons.pushButton("PAUSE", 30, 30, 'button', this.pauseGame, this);
+    this.uiButtons.pushButton("SWITCH", 1880 - 200, 30, 'button', this.handleToggleButtonPress, this, "0x00FF00");
+    this.uiButtons.setButtonSetSize(200, 75);
+
+    this.uiButtons.attachText("PAUSE", "Pause", "30px Comic Sans MS");
+    this.uiButtons.attachText("SWITCH", "Change Bullet", "23px Comic Sans MS");
+    this.uiButtons.onUp = buttons => {
+      buttons[1].button.tint = this.player.getBulletColour();
+    }
+
+    this.hud.create(this.levelLayout, this.player);
+    this.session.onOutOfLives.add(this.handleOutOfLives, this);
+
+    // Leaving the page or switching away on a phone pauses the level.
+    this.game.onBlur.add(this.pauseGame, this);
+    this.game.onPause.add(this.pauseGame, this);
+
+    PAUSE_KEYS.forEach(keyCode => {
+      this.game.input.keyboard.addKey(keyCode).onDown.add(this.togglePause, this);
+    });
+
+    // The music carries on from the kingdom before.
+    if (!Music.isPlaying("level")) {
+      Music.play(this.game, "level", true);
+    }
+  }
+
+  update() {
+    if (!this.ready || this.paused) {
+      return;
+    }
+
+    this.levelLayout.update(this.player);
+    this.player.update(this.game.input.activePointer, this.levelLayout, this.uiButtons.isOver);
+    this.hud.update();
+  }
+
+  // The game ends a moment after the last life is lost, on the results
+  // screen, which offers to continue from this kingdom.
+  handleOutOfLives() {
+    this.levelLayout.stopSpawningEnemies();
+
+    this.game.time.events.add(2000, () => {
+      Music.stop("level");
+      this.game.state.start("GameOver", true, false, this.session);
+    });
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
+    }
+  }
+
+  // Freezes the level where it is: physics, tweens, enemy spawning, the
+  // player's respawn timer and the level music. Once the last life is lost
+  // there is nothing left to pause.
+  pauseGame() {
+    if (!this.ready || this.paused || this.session.isOutOfLives()) {
+      return;
+    }
+
+    this.paused = true;
+    this.frozenBodies = freezeBodies(this.game.world, []);
+    this.game.tweens.pauseAll();
+    this.game.time.events.pause();
+    this.levelLayout.pauseSpawningEnemies();
+    this.player.pause();
+    Music.pause("level");
+
+    this.uiButtons.setEnabled(false);
+    this.pauseMenu.open(levelName(this.levelID));
+  }
+
+  resumeGame() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.pauseMenu.close();
+    this.uiButtons.setEnabled(true);
+    this.uiButtons.isOver = false;
+    this.unfreeze();
+
+    // The click that closed the menu shouldn't count towards a double
+    // click jump.
+    this.game.input.activePointer.msSinceLastClick = 500;
+  }
+
+  // Sounds that are stopped while paused would start again the next time
+  // the music is resumed, so the level is always unfrozen before it is left.
+  unfreeze() {
+    if (!this.paused) {
+      return;
+    }
+
+    this.paused = false;
+    this.frozenBodies.forEach(body => body.moves = true);
+    this.frozenBodies = [];
+    this.game.tweens.resumeAll();
+    this.game.time.events.resume();
+    this.levelLayout.resumeSpawningEnemies();
+    this.player.resume();
+    Music.resume("level");
+  }
+
+  // Plays this kingdom again from the start, without the points scored in
+  // this attempt.
+  restartLevel() {
+    this.unfreeze();
+    Music.stop("level");
+    this.session.restartLevel();
+    this.game.state.start(this.levelID, true, false, this.session);
+  }
+
+  shutdown() {
+    if (this.ready) {
+      this.hud.destroy();
+      this.session.onOutOfLives.remove(this.handleOutOfLives, this);
+      this.game.onBlur.remove(this.pauseGame, this);
+      this.game.onPause.remove(this.pauseGame, this);
+
+      PAUSE_KEYS.forEach(keyCode => this.game.input.keyboard.removeKey(keyCode));
+    }
+  }
+
+  render() {
+    if (LevelState.application.debug) {
+      this.game.time.advancedTiming = true;
+      this.game.debug.text(this.game.time.fps || '--', 2, 14, "#000000");
+    }
+  }
+
+  handleToggleButtonPress() {
+    this.player.switchProjectile();
+  }
+
+  handleBackButtonPress() {
+    this.unfreeze();
+    Music.stop("level");
+    Music.play(this.game, "menu", true);
+
+    this.levelLayout.stopSpawningEnemies();
+    this.session.reset();
+    this.game.state.start("Menu");
+  }
+}
@@ -1,38 +1,114 @@
 
-import Level5 from './level5.js';
-import Level4 from './level4.js';
-import Level3 from './level3.js';
-import Level2 from './level2.js';
-import Level1 from './level1.js';
+import { HttpLocalRequest } from '../../http/httpLocalRequest.js';
+import { endpoint } from '../../http/http.js';
+import { LevelState } from './levelState.js';
 
-const levelLayouts = [];
+const levelLayouts = {};
 
-export const LevelLayout = { LV1: 1, LV2: 2, LV3: 3, LV4: 4, LV5: 5 };
+// The levels in play order, as { id, name }, and the files in data/lvl of the
+// levels bundled with the game.
+let levelOrder = [];
+const localLevels = {};
 
-export const storeLevel = lvl => {
+export const storeLevel = (ID, lvl) => {
   if(lvl) {
-    levelLayouts.push(lvl);
+    levelLayouts[ID] = lvl;
   }
 }
 
 export const levelsStored = () => {
-  return levelLayouts.length;
+  return Object.keys(levelLayouts).length;
 }
 
+export const levelIDs = () => {
+  return levelOrder.map(level => level.id);
+}
+
+export const levelName = ID => {
+  const level = levelOrder.find(level => level.id == ID);
+  return level ? level.name : ID;
+}
+
+export const firstLevel = () => {
+  return levelOrder.length > 0 ? levelOrder[0].id : null;
+}
+
+// Levels the server couldn't provide are read from data/lvl when first played.
 export const getLayout = ID => {
-  if (ID >= levelLayouts.length) {
+  if (!levelLayouts[ID] && localLevels[ID]) {
+    storeLevel(ID, new HttpLocalRequest(`data/lvl/${localLevels[ID]}`).grab(false));
+  }
+
+  return levelLayouts[ID] || null;
+}
+
+const readLocalCatalogue = () => {
+  try {
+    return new HttpLocalRequest("data/lvl/catalogue.json").grab(true) || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+// Levels are cached in localStorage under their checksum from the server's
+// catalogue, so a level is only downloaded again once a new version is out.
+const cachedLevel = level => {
+  try {
+    const cached = JSON.parse(window.localStorage.getItem(`level-${level.id}`));
+    return (cached && cached.checksum == level.checksum) ? cached.data : null;
+  } catch (err) {
     return null;
-  } else {
-    return levelLayouts[ID - 1];
   }
 }
 
-export default app => {
-  return [
-    Level1(app),
-    Level2(app),
-    Level3(app),
-    Level4(app),
-    Level5(app)
-  ]
+const cacheLevel = (level, data) => {
+  try {
+    window.localStorage.setItem(`level-${level.id}`, JSON.stringify({ checksum: level.checksum, data: data }));
+  } catch (err) {
+    // Storage can be full or disabled, the level just gets fetched next time
+  }
+}
+
+// Reads the level catalogue from the server, falling back on the one bundled
+// in data/lvl. Returns false when the server couldn't be reached.
+export const loadLevels = () => {
+  const local = readLocalCatalogue().sort((a, b) => a.order - b.order);
+
+  local.forEach(level => localLevels[level.id] = level.file);
+  levelOrder = local.map(level => ({ id: level.id, name: level.name }));
+
+  try {
+    const catalogue = new HttpLocalRequest(endpoint('/level/catalogue/')).grab(true);
+    const order = [];
+
+    for (let i = 0; i < catalogue.length; i++) {
+      let data = cachedLevel(catalogue[i]);
+
+      if (data == null) {
+        data = new HttpLocalRequest(endpoint(`/level/levels/${catalogue[i].id}`)).grab(false);
+
+        if (data) {
+          cacheLevel(catalogue[i], data);
+        }
+      }
+
+      storeLevel(catalogue[i].id, data);
+      order.push({ id: catalogue[i].id, name: catalogue[i].name });
+    }
+
+    levelOrder = order;
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Adds a level state for every level in the catalogue, keyed by level ID.
+// Called once the catalogue has been loaded.
+export const registerLevels = app => {
+  LevelState.application = app;
+
+  levelOrder.forEach(level => {
+    app.phaser.state.add(level.id, new LevelState(level.id));
+  });
 }
@@ -1,10 +1,9 @@
 
 
-import { storeLevel, levelsStored } from './levels/levels.js';
 import { HttpLocalRequest } from '../http/httpLocalRequest.js';
-import { HttpPostRequest } from '../http/httpPostRequest.js';
-import { endpoint } from '../http/http.js';
+import { loadLevels, registerLevels } from './levels/levels.js';
 import { Music } from '../actors/music.js';
+import { loadRules } from '../actors/session.js';
 
 export default (app) => {
   Preload.application = app;
@@ -58,22 +57,11 @@ export class Preload {
       }
     }
 
-    var requests = new HttpPostRequest(endpoint("/level/getLevel"));
-    var instance = this;
-
-    requests.setCallback(function (data) {
-      storeLevel(data);
-
-      const count = levelsStored();
-
-      if (count < 5) {
-        requests.send({ "level": `level${count+1}.json` });
-      } else {
-        instance.continue = true;
-      }
-    });
+    loadRules(new HttpLocalRequest("data/rules.json").grab(true));
 
+    this.skip = loadLevels();
+    this.continue = this.skip;
 
-    this.skip = requests.send({ "level": "level1.json" });
+    registerLevels(Preload.application);
   }
 }
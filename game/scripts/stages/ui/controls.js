@@ -1,6 +1,8 @@
 
 import { ButtonSet } from '../../actors/buttons.js';
 import { Music } from '../../actors/music.js';
+import { firstLevel } from '../levels/levels.js';
+import { newGame } from '../../actors/session.js';
 
 export default app => {
   Controls.application = app;
@@ -22,7 +24,7 @@ export class Controls {
   playPress() {
     Music.stop("menu");
 
-    this.game.state.start("LV1");
+    this.game.state.start(firstLevel(), true, false, newGame());
   }
 
   create() {
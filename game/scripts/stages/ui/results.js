@@ -0,0 +1,332 @@
+
+import { HttpPostRequest, HttpGetRequest, endpoint } from '../../http/http.js';
+import { ButtonSet } from '../../actors/buttons.js';
+import { levelName, firstLevel } from '../levels/levels.js';
+import { Music } from '../../actors/music.js';
+import { GameSession, newGame } from '../../actors/session.js';
+
+export default app => {
+  Results.application = app;
+  return {
+    key: 'GameOver',
+    template: Results
+  }
+}
+
+const MAX_NAME_LENGTH = 12;
+const KEYBOARD_ROWS = ["ABCDEFGHIJ", "KLMNOPQRST", "UVWXYZ0123", "456789-_"];
+const Board = { level: "ALL", mode: "normal" };
+
+const formatTime = ms => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${("0" + (seconds % 60)).slice(-2)}`;
+}
+
+// Shown when a run ends: the run's score broken down by kingdom, and a name
+// entry for submitting the score along with the run's token and summary. A
+// game that ran out of lives can be continued from the kingdom it was lost
+// in, and any game can be restarted from the first kingdom.
+export class Results {
+  init(session) {
+    this.session = session instanceof GameSession ? session : new GameSession();
+    this.session.end();
+    this.run = this.session.run;
+
+    this.playerName = "";
+    this.submitted = false;
+  }
+
+  preload() {
+    this.game = Results.application.phaser;
+  }
+
+  create() {
+    this.background = this.game.add.sprite(0, 0, 'city_background');
+    this.background.height = 1080;
+    this.background.width = 1920;
+
+    this.title = this.game.add.text(0, 40, "Game Over",
+      { font: "120px Comic Sans MS", fill: "#FDFDFD", align: "center" }
+    );
+
+    this.title.x = this.game.world.centerX - this.title.width / 2;
+
+    this.showBreakdown(120, 260);
+    this.createNameEntry(1100, 260);
+
+    this.buttons = new ButtonSet(this.game);
+    this.buttons.pushButton("BACK", 30, 30, 'back', this.menuPress, this);
+
+    this.actionButtons = new ButtonSet(this.game);
+    this.actionButtons.pushButton("SUBMIT", 1100, 720, 'button', this.submitPress, this);
+    this.actionButtons.pushButton("SCORES", 1450, 720, 'button', this.highscorePress, this);
+    this.actionButtons.setButtonSetSize(300, 100);
+
+    this.actionButtons.attachText("SUBMIT", "Submit", "45px Comic Sans MS");
+    this.actionButtons.attachText("SCORES", "Highscores", "45px Comic Sans MS");
+
+    this.playButtons = new ButtonSet(this.game);
+
+    if (this.session.isOutOfLives()) {
+      this.playButtons.pushButton("CONTINUE", 1580, 40, 'button', this.continuePress, this);
+    }
+
+    this.playButtons.pushButton("RESTART", 1580, this.session.isOutOfLives() ? 150 : 40, 'button', this.restartPress, this);
+    this.playButtons.setButtonSetSize(300, 90);
+
+    this.playButtons.attachText("CONTINUE", "Continue", "40px Comic Sans MS");
+    this.playButtons.attachText("RESTART", "Restart", "40px Comic Sans MS");
+
+    this.status = this.game.add.text(1100, 850, "",
+      { font: "40px Comic Sans MS", fill: "#FDFDFD", align: "left", wordWrap: true, wordWrapWidth: 700 }
+    );
+
+    this.rank = this.game.add.text(1100, 950, "",
+      { font: "50px Comic Sans MS", fill: "#FFFF00", align: "left" }
+    );
+
+    if (!this.run.token) {
+      this.setStatus("Scores can only be submitted when the game is online.");
+    }
+
+    Music.stop("level");
+    Music.play(this.game, "gameover");
+  }
+
+  showBreakdown(x, y) {
+    const style = { font: "40px Comic Sans MS", fill: "#FDFDFD", align: "left" };
+    const columns = [0, 380, 540, 680, 800];
+
+    const row = (values, top) => {
+      values.forEach((value, i) => this.game.add.text(x + columns[i], top, value.toString(), style));
+    }
+
+    row(["Kingdom", "Score", "Time", "Kills", "Deaths"], y);
+
+    this.run.levels.forEach((level, i) => {
+      const name = level.cleared ? levelName(level.id) : `${levelName(level.id)} (lost)`;
+      row([name, level.score, formatTime(level.time), level.enemiesKilled(), level.deaths], y + 70 + i * 55);
+    });
+
+    const bottom = y + 100 + this.run.levels.length * 55;
+    const summary = this.run.summary();
+
+    row(["Total", this.session.score, formatTime(summary.elapsed), summary.enemiesKilled, summary.deaths], bottom);
+
+    const hits = summary.enemiesKilled + summary.bossHits + summary.wrongHits;
+    const accuracy = summary.shotsFired > 0 ? Math.round(100 * Math.min(hits, summary.shotsFired) / summary.shotsFired) : 0;
+    const details = [
+      `Kills: ${summary.kills.green} green, ${summary.kills.red} red, ${summary.kills.black} black`,
+      `Shots fired: ${summary.shotsFired} (${accuracy}% hit)`,
+      `Wrong colour hits: ${summary.wrongHits}`,
+      `Boss damage: ${summary.bossHits}`
+    ];
+
+    details.forEach((line, i) => {
+      this.game.add.text(x, bottom + 70 + i * 45, line, { font: "32px Comic Sans MS", fill: "#FDFDFD", align: "left" });
+    });
+
+    this.finalScore = this.game.add.text(x, bottom + 90 + details.length * 45, `Final Score: ${this.session.score}`,
+      { font: "70px Comic Sans MS", fill: "#FFFF00", align: "left" }
+    );
+  }
+
+  // Names are typed on a keyboard or tapped out on the keys drawn below the
+  // name, as phones have no keyboard to type with.
+  createNameEntry(x, y) {
+    this.game.add.text(x, y, "Enter your name",
+      { font: "45px Comic Sans MS", fill: "#FDFDFD", align: "left" }
+    );
+
+    this.nameLabel = this.game.add.text(x, y + 60, "_",
+      { font: "60px Comic Sans MS", fill: "#FFFF00", align: "left" }
+    );
+
+    const keyStyle = { font: "45px Comic Sans MS", fill: "#FDFDFD", align: "center" };
+
+    KEYBOARD_ROWS.forEach((keys, row) => {
+      keys.split("").forEach((key, column) => {
+        this.addKey(key, x + column * 70, y + 160 + row * 65, keyStyle, () => this.typeCharacter(key));
+      });
+    });
+
+    this.addKey("DEL", x + 560, y + 160 + 3 * 65, keyStyle, () => this.deleteCharacter());
+
+    const keyboard = this.game.input.keyboard;
+    keyboard.addKeyCapture([Phaser.Keyboard.BACKSPACE, Phaser.Keyboard.SPACEBAR]);
+    keyboard.addCallbacks(this, this.handleKeyDown, null, this.handleKeyPress);
+  }
+
+  addKey(label, x, y, style, callback) {
+    const key = this.game.add.text(x, y, label, style);
+
+    key.inputEnabled = true;
+    key.events.onInputDown.add(callback, this);
+    key.events.onInputOver.add(() => key.fill = "#FFFF00");
+    key.events.onInputOut.add(() => key.fill = "#FDFDFD");
+  }
+
+  handleKeyDown(event) {
+    if (event.keyCode == Phaser.Keyboard.BACKSPACE) {
+      this.deleteCharacter();
+    } else if (event.keyCode == Phaser.Keyboard.ENTER) {
+      this.submitPress();
+    }
+  }
+
+  handleKeyPress(character) {
+    if (/^[A-Za-z0-9 _-]$/.test(character)) {
+      this.typeCharacter(character);
+    }
+  }
+
+  typeCharacter(character) {
+    if (!this.submitted && this.playerName.length < MAX_NAME_LENGTH) {
+      this.playerName += character;
+      this.nameLabel.text = this.playerName + "_";
+    }
+  }
+
+  deleteCharacter() {
+    if (!this.submitted) {
+      this.playerName = this.playerName.slice(0, -1);
+      this.nameLabel.text = this.playerName + "_";
+    }
+  }
+
+  setStatus(message) {
+    this.status.text = message;
+  }
+
+  submitPress() {
+    const name = this.playerName.trim();
+
+    if (this.submitted) {
+      return;
+    } else if (!this.run.token) {
+      this.setStatus("Scores can only be submitted when the game is online.");
+      return;
+    } else if (name.length == 0) {
+      this.setStatus("Enter a name first.");
+      return;
+    } else if (this.session.score <= 0) {
+      this.setStatus("Only scores above zero go on the leaderboard.");
+      return;
+    }
+
+    const response = this.postScore(name, Board.level, this.session.score, this.run.summary());
+
+    if (response && response.msg == "Score Posted") {
+      this.submitted = true;
+      this.playerName = name;
+      this.setStatus("Score submitted!");
+      this.showRank();
+      this.postKingdomScores(name);
+    } else if (response && response.reason) {
+      this.setStatus(`Score rejected: ${response.reason}`);
+    } else {
+      this.setStatus("Could not reach the server, try again.");
+    }
+  }
+
+  // Posts a score to one leaderboard, returning the server's response,
+  // rejections included, or null if it couldn't be reached.
+  postScore(name, level, highscore, summary) {
+    const request = new HttpPostRequest(endpoint('/score/postScore/'));
+    let response = null;
+
+    request.setCallback(text => {
+      try {
+        response = JSON.parse(text);
+      } catch (err) {
+        response = null;
+      }
+    });
+
+    request.send({
+      name: name,
+      highscore: highscore,
+      level: level,
+      mode: Board.mode,
+      token: this.run.token,
+      summary: summary
+    });
+
+    return response;
+  }
+
+  // Each kingdom cleared in the run also goes on that kingdom's board, with
+  // the points scored in it. The run's total has already been accepted, so
+  // these are posted without holding the player up over failures.
+  postKingdomScores(name) {
+    const cleared = this.run.levels.filter(level => level.cleared && level.score > 0);
+    let posted = 0;
+
+    cleared.forEach(level => {
+      const response = this.postScore(name, level.id, level.score, level.summary());
+
+      if (response && response.msg == "Score Posted") {
+        posted++;
+      }
+    });
+
+    if (posted > 0) {
+      this.setStatus(`Score submitted, and to ${posted} kingdom ${posted == 1 ? "board" : "boards"}!`);
+    }
+  }
+
+  showRank() {
+    const query = `name=${encodeURIComponent(this.playerName)}&level=${Board.level}&mode=${Board.mode}&window=all`;
+    const rankRequest = new HttpGetRequest(endpoint(`/score/player/?${query}`));
+
+    rankRequest.onReceived(player => {
+      if (player.rank) {
+        this.rank.text = `You are #${player.rank} of ${player.total}`;
+      }
+    });
+
+    rankRequest.send();
+  }
+
+  leave(state, ...params) {
+    Music.stop("gameover");
+    Music.play(this.game, "menu", true);
+
+    this.game.state.start(state, true, false, ...params);
+  }
+
+  highscorePress() {
+    this.leave("Highscores", this.submitted ? this.playerName : null, Board);
+  }
+
+  menuPress() {
+    this.leave("Menu");
+  }
+
+  continuePress() {
+    this.session.continueGame();
+
+    Music.stop("gameover");
+    this.game.state.start(this.session.level, true, false, this.session);
+  }
+
+  restartPress() {
+    Music.stop("gameover");
+    this.game.state.start(firstLevel(), true, false, newGame());
+  }
+
+  shutdown() {
+    const keyboard = this.game.input.keyboard;
+
+    keyboard.onDownCallback = null;
+    keyboard.onPressCallback = null;
+    keyboard.clearCaptures();
+  }
+
+  render() {
+    if (Results.application.debug) {
+      this.game.time.advancedTiming = true;
+      this.game.debug.text(this.game.time.fps || '--', 2, 14, "#000000");
+    }
+  }
+}
@@ -1,6 +1,7 @@
 
 import { ScoreBoard } from '../../actors/scores.js';
 import { ButtonSet } from '../../actors/buttons.js';
+import { levelIDs } from '../levels/levels.js';
 import { endpoint } from '../../http/http.js';
 
 export default app => {
@@ -11,15 +12,38 @@ export default app => {
   }
 }
 
+const BoardWindows = [
+  { ID: "all", label: "All Time" },
+  { ID: "weekly", label: "This Week" },
+  { ID: "daily", label: "Today" }
+];
+
 export class Highscores {
   constructor() {
-    this.scoreBoardUrl = endpoint('/score/GetScores/');
+    this.boardLevels = ["ALL"];
     this.scoreBoard = null;
+    this.playerName = null;
+  }
+
+  init(playerName, board) {
+    this.boardLevels = ["ALL", ...levelIDs()];
+    this.playerName = playerName || null;
+    this.level = (board && board.level) || "ALL";
+    this.mode = (board && board.mode) || "normal";
+    this.window = 0;
+  }
+
+  boardQuery() {
+    return `level=${this.level}&mode=${this.mode}&window=${BoardWindows[this.window].ID}`;
+  }
+
+  scoreBoardUrl() {
+    return endpoint(`/score/leaderboard/?limit=10&${this.boardQuery()}`);
   }
 
   preload() {
     this.game = Highscores.application.phaser;
-    this.scoreBoard = new ScoreBoard(this.game, this.scoreBoardUrl);
+    this.scoreBoard = new ScoreBoard(this.game, this.scoreBoardUrl());
   }
 
   create() {
@@ -31,31 +55,67 @@ export class Highscores {
     this.buttons.pushButton("BACK", 30, 30, 'back', this.goback, this);
 
     this.title = this.game.add.text(0, 50, "Highscores",
-    { font: "100px Comic Sans MS", fill: "#FDFDFD", align: "center" }
-  );
+      { font: "100px Comic Sans MS", fill: "#FDFDFD", align: "center" }
+    );
 
-  this.title.x = this.game.world.centerX - this.title.width / 2;
-  this.scoreBoard.createNewsBoard("news");
-  this.scoreBoard.populateNewsBoard(5);
+    this.title.x = this.game.world.centerX - this.title.width / 2;
+    this.scoreBoard.createNewsBoard("news");
+    this.scoreBoard.populateNewsBoard(5);
+    this.showPlayerRank();
 
-  this.sprite_right = this.game.add.sprite(550, 160, 'character');
-  this.sprite_right.animations.add('walk', [0, 1, 2, 3, 4, 5]);
-  this.sprite_right.animations.play('walk', 10, true);
+    this.filterButtons = new ButtonSet(this.game);
+    this.filterButtons.pushButton("LEVEL", 1920 - 380, 300, 'button', this.nextLevel, this);
+    this.filterButtons.pushButton("WINDOW", 1920 - 380, 500, 'button', this.nextWindow, this);
+    this.filterButtons.setButtonSetSize(350, 130);
 
-  this.sprite_left = this.game.add.sprite(1350, 160, 'character');
-  this.sprite_left.animations.add('walk', [0, 1, 2, 3, 4, 5]);
-  this.sprite_left.animations.play('walk', 10, true);
-  this.sprite_left.scale.x = -1;
-}
+    this.filterButtons.attachText("LEVEL", this.levelLabel(), "50px Comic Sans MS");
+    this.filterButtons.attachText("WINDOW", BoardWindows[this.window].label, "50px Comic Sans MS");
 
-goback() {
-  this.game.state.start('Menu');
-}
+    this.sprite_right = this.game.add.sprite(550, 160, 'character');
+    this.sprite_right.animations.add('walk', [0, 1, 2, 3, 4, 5]);
+    this.sprite_right.animations.play('walk', 10, true);
 
-render() {
-  if (Highscores.application.debug) {
-    this.game.time.advancedTiming = true;
-    this.game.debug.text(this.game.time.fps || '--', 2, 14, "#000000");
+    this.sprite_left = this.game.add.sprite(1350, 160, 'character');
+    this.sprite_left.animations.add('walk', [0, 1, 2, 3, 4, 5]);
+    this.sprite_left.animations.play('walk', 10, true);
+    this.sprite_left.scale.x = -1;
+  }
+
+  showPlayerRank() {
+    if (this.playerName) {
+      this.scoreBoard.showPlayerRank(endpoint(`/score/player/?name=${encodeURIComponent(this.playerName)}&${this.boardQuery()}`));
+    }
+  }
+
+  levelLabel() {
+    return this.level == "ALL" ? "Full Run" : this.level;
+  }
+
+  nextLevel() {
+    const index = this.boardLevels.indexOf(this.level);
+    this.level = this.boardLevels[(index + 1) % this.boardLevels.length];
+
+    this.filterButtons.setText("LEVEL", this.levelLabel());
+    this.scoreBoard.refresh(this.scoreBoardUrl());
+    this.showPlayerRank();
+  }
+
+  nextWindow() {
+    this.window = (this.window + 1) % BoardWindows.length;
+
+    this.filterButtons.setText("WINDOW", BoardWindows[this.window].label);
+    this.scoreBoard.refresh(this.scoreBoardUrl());
+    this.showPlayerRank();
+  }
+
+  goback() {
+    this.game.state.start('Menu');
+  }
+
+  render() {
+    if (Highscores.application.debug) {
+      this.game.time.advancedTiming = true;
+      this.game.debug.text(this.game.time.fps || '--', 2, 14, "#000000");
+    }
   }
-}
 }
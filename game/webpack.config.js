@@ -15,7 +15,9 @@ module.exports = {
         test   : /.js$/,
         loader : 'babel-loader',
         query: {
-          presets: 'es2015',
+          // Resolved here so files from ../shared, outside this package,
+          // find the preset too.
+          presets: [require.resolve('babel-preset-es2015')],
         }
       }
     ]
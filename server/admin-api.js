@@ -0,0 +1,18 @@
+
+const express = require('express');
+const path = require('path');
+const app = express();
+
+// Serves the admin dashboard. Every file sits behind basic auth so the
+// browser asks for credentials once and then sends them with each API call.
+module.exports = (auth, services) => {
+  app.use(auth.require());
+
+  app.get('/whoami/', (request, response) => {
+    response.json(Object.assign({ services: services.list() }, request.admin));
+  });
+
+  app.use(express.static(path.join(__dirname, 'admin')));
+
+  return app;
+};
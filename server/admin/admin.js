@@ -0,0 +1,382 @@
+
+const Admin = {
+  service: "",
+  roles: [],
+  scoreOffset: 0,
+  scorePageSize: 50,
+
+  request: function (method, url, body) {
+    const options = {
+      method: method,
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json" }
+    };
+
+    if (body) {
+      options.body = JSON.stringify(body);
+    }
+
+    return fetch(url, options).then(response => {
+      return response.json().then(data => {
+        if (!response.ok) {
+          const err = new Error(data.msg || response.statusText);
+          err.errors = data.errors || [];
+          throw err;
+        }
+
+        return data;
+      });
+    });
+  },
+
+  status: function (message, failed) {
+    const status = document.getElementById("status");
+    status.textContent = message;
+    status.className = failed ? "error" : "";
+  },
+
+  cell: function (row, text) {
+    const cell = row.insertCell();
+    cell.textContent = text;
+    return cell;
+  },
+
+  action: function (row, label, callback) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", callback);
+    row.lastChild.appendChild(button);
+  },
+
+  // News
+
+  // datetime-local inputs work in local time without a zone suffix.
+  toLocalInput: function (time) {
+    if (!time) {
+      return "";
+    }
+
+    const offset = new Date(time).getTimezoneOffset() * 60000;
+    return new Date(time - offset).toISOString().slice(0, 16);
+  },
+
+  fromLocalInput: function (value) {
+    return value ? new Date(value).getTime() : null;
+  },
+
+  postStatus: function (post, now) {
+    let status = "Live";
+
+    if (post.Draft) {
+      status = "Draft";
+    } else if (post.PublishAt > now) {
+      status = "Scheduled";
+    } else if (post.ExpiresAt && post.ExpiresAt <= now) {
+      status = "Expired";
+    }
+
+    return post.Pinned ? `${status}, pinned` : status;
+  },
+
+  loadNews: function () {
+    Admin.request("GET", `/news/listNews/?service=${encodeURIComponent(Admin.service)}`).then(posts => {
+      const list = document.getElementById("news-list");
+      const now = Date.now();
+      list.innerHTML = "";
+
+      posts.forEach(post => {
+        const row = list.insertRow();
+        Admin.cell(row, post.PostID);
+        Admin.cell(row, post.Heading);
+        Admin.cell(row, post.Text);
+        Admin.cell(row, Admin.postStatus(post, now));
+        Admin.cell(row, post.PublishAt ? new Date(post.PublishAt).toLocaleString() : "");
+        Admin.cell(row, post.ExpiresAt ? new Date(post.ExpiresAt).toLocaleString() : "");
+        Admin.cell(row, "");
+
+        Admin.action(row, "Edit", () => Admin.editNews(post));
+        Admin.action(row, "Delete", () => Admin.deleteNews(post));
+      });
+
+      Admin.previewNews(posts.filter(post => post.Live));
+    }).catch(err => Admin.status(err.message, true));
+  },
+
+  // Mirrors NewsBoard.populateNewsBoard in the game, eight live stories at
+  // most, with the post being written shown as it would appear once live.
+  previewNews: function (posts) {
+    const form = document.getElementById("news-form");
+    const preview = document.getElementById("news-preview");
+    const draft = { Heading: form.heading.value, Text: form.text.value, PostID: form.postID.value };
+    let stories = posts || Admin.newsPosts || [];
+
+    Admin.newsPosts = stories;
+
+    if (draft.Heading || draft.Text) {
+      stories = stories.filter(post => String(post.PostID) !== draft.PostID);
+      stories = form.pinned.checked ? [draft].concat(stories) :
+        stories.filter(post => post.Pinned).concat([draft], stories.filter(post => !post.Pinned));
+    }
+
+    preview.innerHTML = "";
+    stories.slice(0, 8).forEach(post => {
+      const line = document.createElement("div");
+      const heading = document.createElement("span");
+
+      heading.className = "heading";
+      heading.textContent = post.Heading;
+      line.appendChild(heading);
+      line.appendChild(document.createTextNode(post.Text));
+      preview.appendChild(line);
+    });
+  },
+
+  editNews: function (post) {
+    const form = document.getElementById("news-form");
+    form.postID.value = post.PostID;
+    form.heading.value = post.Heading;
+    form.text.value = post.Text;
+    form.publishAt.value = Admin.toLocalInput(post.PublishAt);
+    form.expiresAt.value = Admin.toLocalInput(post.ExpiresAt);
+    form.pinned.checked = Boolean(post.Pinned);
+    form.draft.checked = Boolean(post.Draft);
+
+    document.getElementById("news-cancel").hidden = false;
+    form.querySelector("button[type=submit]").textContent = "Save";
+    Admin.previewNews();
+  },
+
+  resetNewsForm: function () {
+    const form = document.getElementById("news-form");
+    form.reset();
+    form.postID.value = "";
+
+    document.getElementById("news-cancel").hidden = true;
+    form.querySelector("button[type=submit]").textContent = "Post";
+    Admin.previewNews();
+  },
+
+  submitNews: function (event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const body = {
+      service: Admin.service,
+      heading: form.heading.value,
+      text: form.text.value,
+      publishAt: Admin.fromLocalInput(form.publishAt.value),
+      expiresAt: Admin.fromLocalInput(form.expiresAt.value),
+      pinned: form.pinned.checked,
+      draft: form.draft.checked
+    };
+
+    if (form.postID.value !== "") {
+      body.postID = form.postID.value;
+    }
+
+    Admin.request("POST", body.postID ? "/news/updateNews/" : "/news/postNews/", body).then(data => {
+      Admin.status(data.msg);
+      Admin.resetNewsForm();
+      Admin.loadNews();
+    }).catch(err => Admin.status(err.message, true));
+  },
+
+  deleteNews: function (post) {
+    if (confirm(`Delete "${post.Heading}"?`)) {
+      const body = { service: post.Service, postID: String(post.PostID) };
+
+      Admin.request("POST", "/news/deleteNews/", body).then(data => {
+        Admin.status(data.msg);
+        Admin.loadNews();
+      }).catch(err => Admin.status(err.message, true));
+    }
+  },
+
+  // Scores
+
+  scoreFilter: function () {
+    const form = document.getElementById("score-filter");
+    return {
+      service: Admin.service,
+      level: form.level.value,
+      mode: form.mode.value,
+      window: form.window.value,
+      name: form.name.value
+    };
+  },
+
+  loadScores: function () {
+    const filter = Admin.scoreFilter();
+    const query = Object.keys(filter).map(key => `${key}=${encodeURIComponent(filter[key])}`).join("&");
+    const url = `/score/listScores/?${query}&offset=${Admin.scoreOffset}&limit=${Admin.scorePageSize}`;
+
+    Admin.request("GET", url).then(data => {
+      const list = document.getElementById("score-list");
+      list.innerHTML = "";
+
+      data.scores.forEach(score => {
+        const row = list.insertRow();
+        const summary = score.Summary || {};
+
+        Admin.cell(row, score.Name);
+        Admin.cell(row, score.Highscore);
+        Admin.cell(row, new Date(score.Posted).toLocaleString());
+        Admin.cell(row, `${summary.levelsCleared} levels, ${summary.enemiesKilled} kills, ${summary.deaths} deaths`);
+        Admin.cell(row, "");
+
+        Admin.action(row, "Delete", () => Admin.deleteScore(score));
+      });
+
+      const last = Math.min(data.offset + data.limit, data.total);
+      document.getElementById("score-page").textContent = `${data.total ? data.offset + 1 : 0}-${last} of ${data.total}`;
+      document.getElementById("score-previous").disabled = data.offset == 0;
+      document.getElementById("score-next").disabled = last >= data.total;
+    }).catch(err => Admin.status(err.message, true));
+  },
+
+  deleteScore: function (score) {
+    if (confirm(`Delete ${score.Name}'s score of ${score.Highscore}?`)) {
+      const body = {
+        service: score.Service,
+        level: score.Level,
+        mode: score.Mode,
+        scoreID: score.ScoreID
+      };
+
+      Admin.request("POST", "/score/deleteScore/", body).then(data => {
+        Admin.status(data.msg);
+        Admin.loadScores();
+      }).catch(err => Admin.status(err.message, true));
+    }
+  },
+
+  // Levels
+
+  loadLevels: function () {
+    Admin.request("GET", "/level/catalogue/").then(levels => {
+      const list = document.getElementById("level-list");
+      list.innerHTML = "";
+
+      levels.forEach(level => {
+        const row = list.insertRow();
+        Admin.cell(row, level.id);
+        Admin.cell(row, level.name);
+        Admin.cell(row, level.version);
+        Admin.cell(row, level.checksum.substr(0, 12));
+      });
+    }).catch(err => Admin.status(err.message, true));
+  },
+
+  showLevelErrors: function (errors) {
+    const list = document.getElementById("level-errors");
+    list.innerHTML = "";
+
+    errors.forEach(error => {
+      const item = document.createElement("li");
+      item.textContent = `${error.path}: ${error.message}`;
+      list.appendChild(item);
+    });
+  },
+
+  submitLevel: function (event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const reader = new FileReader();
+
+    Admin.showLevelErrors([]);
+
+    reader.onload = () => {
+      let data = null;
+
+      try {
+        data = JSON.parse(reader.result.replace(/^\uFEFF/, ''));
+      } catch (err) {
+        Admin.status(`${form.file.files[0].name} is not valid JSON: ${err.message}`, true);
+        return;
+      }
+
+      const body = { id: form.id.value, data: data };
+
+      if (form.name.value !== "") {
+        body.name = form.name.value;
+      }
+
+      Admin.request("POST", "/level/uploadLevel/", body).then(result => {
+        Admin.status(`${result.msg}: ${result.id} version ${result.version}`);
+        form.reset();
+        Admin.loadLevels();
+      }).catch(err => {
+        Admin.status(err.message, true);
+        Admin.showLevelErrors(err.errors || []);
+      });
+    };
+
+    reader.readAsText(form.file.files[0]);
+  },
+
+  start: function () {
+    Admin.request("GET", "/admin/whoami/").then(admin => {
+      const select = document.getElementById("service");
+      Admin.service = admin.services[0];
+      Admin.roles = admin.roles;
+
+      admin.services.forEach(service => select.add(new Option(service, service)));
+      document.getElementById("whoami").textContent = `${admin.username} (${admin.roles.join(", ")})`;
+
+      if (admin.roles.indexOf("news-editor") != -1) {
+        document.getElementById("news").hidden = false;
+        Admin.loadNews();
+      }
+
+      if (admin.roles.indexOf("score-moderator") != -1) {
+        document.getElementById("scores").hidden = false;
+        Admin.loadScores();
+      }
+
+      if (admin.roles.indexOf("level-designer") != -1) {
+        document.getElementById("levels").hidden = false;
+        Admin.loadLevels();
+      }
+    }).catch(err => Admin.status(err.message, true));
+
+    document.getElementById("service").addEventListener("change", event => {
+      Admin.service = event.target.value;
+      Admin.scoreOffset = 0;
+      Admin.resetNewsForm();
+
+      if (Admin.roles.indexOf("news-editor") != -1) {
+        Admin.loadNews();
+      }
+
+      if (Admin.roles.indexOf("score-moderator") != -1) {
+        Admin.loadScores();
+      }
+    });
+
+    const newsForm = document.getElementById("news-form");
+    newsForm.addEventListener("submit", Admin.submitNews);
+    newsForm.addEventListener("input", () => Admin.previewNews());
+    document.getElementById("news-cancel").addEventListener("click", Admin.resetNewsForm);
+
+    document.getElementById("score-filter").addEventListener("submit", event => {
+      event.preventDefault();
+      Admin.scoreOffset = 0;
+      Admin.loadScores();
+    });
+
+    document.getElementById("score-previous").addEventListener("click", () => {
+      Admin.scoreOffset = Math.max(0, Admin.scoreOffset - Admin.scorePageSize);
+      Admin.loadScores();
+    });
+
+    document.getElementById("score-next").addEventListener("click", () => {
+      Admin.scoreOffset += Admin.scorePageSize;
+      Admin.loadScores();
+    });
+
+    document.getElementById("level-form").addEventListener("submit", Admin.submitLevel);
+  }
+};
+
+window.addEventListener("DOMContentLoaded", Admin.start);
@@ -1,40 +1,144 @@
-
-const config = require('./utilities/config.js');
+const { validateLevel, readTextures } = require('../shared/level-schema.js');
+const LevelCatalogue = require('./utilities/level-catalogue.js');
+const AdminAuth = require('./utilities/admin-auth.js');
 const express = require('express');
-const amazon = require('aws-sdk');
-const path = require('path');
 const app = express();
 const fs = require('fs');
 
-amazon.config.update(config.getConfig());
+const MAX_NAME_LENGTH = 40;
+
+const isLevelName = (name) => {
+  return typeof name == "string" && name.trim() !== "" && name.length <= MAX_NAME_LENGTH;
+};
+
+// Texture IDs levels may use, taken from the game's asset list. Without it
+// uploads are still validated, just not their texture IDs.
+const loadTextures = (filename) => {
+  try {
+    const file = fs.readFileSync(filename, 'utf8');
+    return readTextures(JSON.parse(file.replace(/^\uFEFF/, '')));
+  } catch (err) {
+    console.log(`Could not read textures from ${filename}, level textures will not be checked: ${err.message}`);
+    return null;
+  }
+};
 
 class LevelApi {
-  constructor() {
-    this.dynamodb = new amazon.DynamoDB({
-      region: "eu-west-1",
-      apiVersion: '2012-08-10'
+  constructor(storage, catalogue, textures) {
+    this.storage = storage;
+    this.catalogue = catalogue;
+    this.textures = textures;
+  }
+
+  sendLevel(req, res, version) {
+    const checksum = this.catalogue.checksum(version.file);
+
+    this.catalogue.read(version, (err, text) => {
+      if (err) {
+        console.log(err);
+        res.status(500).json({ "msg": "Could not read level" });
+      } else {
+        res.setHeader('ETag', `"${checksum}"`);
+        res.setHeader('X-Level-Version', version.version);
+        res.type('json').send(text);
+      }
     });
   }
 
+  // Kept for clients that still ask for levels by their original file name.
+  // They get that file's version, not the latest, as they only read the
+  // format it was written in.
   getLevel(req, res) {
     if (req.body.level) {
-      const filename = `./levels/${req.body.level}`;
-      fs.readFile(filename, 'utf8', function (err, data) {
-        if (err)
-          throw err;
-        res.json(JSON.parse(data.replace(/^\uFEFF/, '')));
-      });
+      const file = String(req.body.level);
+      const level = this.catalogue.findByFile(file);
+
+      if (level) {
+        this.sendLevel(req, res, level.versions.find(version => version.file == file));
+      } else {
+        res.status(404).json({ "msg": "no such level" });
+      }
     } else {
       res.json({ "msg": "didnt pass the level you want to get in the response" });
     }
   }
+
+  getLevelByID(req, res) {
+    const version = this.catalogue.findVersion(req.params.id, req.query.version);
+
+    if (version) {
+      this.sendLevel(req, res, version);
+    } else {
+      res.status(404).json({ "msg": "no such level or version" });
+    }
+  }
+
+  getCatalogue(req, res) {
+    res.json(this.catalogue.list());
+  }
+
+  getHistory(req, res) {
+    const history = this.catalogue.history(req.params.id);
+
+    if (history) {
+      res.json(history);
+    } else {
+      res.status(404).json({ "msg": "no such level" });
+    }
+  }
+
+  // A level's name is shown in the game's menus and results. New levels must
+  // give one, new versions of a level keep its name unless they give another.
+  // An empty name counts as not giving one.
+  uploadLevel(req, res) {
+    const id = req.body && req.body.id;
+    const data = req.body && req.body.data;
+    const name = req.body && req.body.name !== "" ? req.body.name : undefined;
+
+    const errors = validateLevel(data, this.textures);
+    const needsName = name !== undefined || !this.catalogue.find(id);
+
+    if (!LevelCatalogue.isLevelID(id)) {
+      res.status(400).json({ "msg": "id must look like LV6" });
+    } else if (needsName && !isLevelName(name)) {
+      res.status(400).json({ "msg": `name must be a string of 1 to ${MAX_NAME_LENGTH} characters` });
+    } else if (errors.length > 0) {
+      res.status(400).json({ "msg": "Level is invalid", "errors": errors });
+    } else {
+      this.catalogue.publish(id, name, data, req.admin.username, (err, level) => {
+        if (err) {
+          console.log(err);
+          res.status(500).json({ "msg": "Level Upload Failed" });
+        } else {
+          console.log(`Admin "${req.admin.username}" published ${level.id} version ${level.version}`);
+          res.json(Object.assign({ "msg": "Level Uploaded" }, level));
+        }
+      });
+    }
+  }
 }
 
-module.exports = (() => {
-  const levelApi = new LevelApi();
+module.exports = (storage, catalogue, auth, options) => {
+  const levelApi = new LevelApi(storage, catalogue, loadTextures(options.assetsFile));
   app.post('/getLevel/', (request, response) => {
     levelApi.getLevel(request, response);
   });
 
+  app.get('/catalogue/', (request, response) => {
+    levelApi.getCatalogue(request, response);
+  });
+
+  app.get('/levels/:id', (request, response) => {
+    levelApi.getLevelByID(request, response);
+  });
+
+  app.get('/history/:id', (request, response) => {
+    levelApi.getHistory(request, response);
+  });
+
+  app.post('/uploadLevel/', auth.require(AdminAuth.ROLES.levels), (request, response) => {
+    levelApi.uploadLevel(request, response);
+  });
+
   return app;
-})();
+};
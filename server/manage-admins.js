@@ -0,0 +1,60 @@
+
+const AdminAuth = require('./utilities/admin-auth.js');
+
+const usage = `Usage:
+  node manage-admins.js add <username> <password> <roles> [--file admins.json]
+  node manage-admins.js remove <username> [--file admins.json]
+  node manage-admins.js list [--file admins.json]
+
+Roles are a comma separated list of: ${Object.keys(AdminAuth.ROLES).map(key => AdminAuth.ROLES[key]).join(", ")}`;
+
+const args = process.argv.slice(2);
+const fileFlag = args.indexOf("--file");
+const filename = fileFlag == -1 ? (process.env.MGD_ADMINS_FILE || "./admins.json") : args.splice(fileFlag, 2)[1];
+const accounts = AdminAuth.readAccounts(filename);
+const knownRoles = Object.keys(AdminAuth.ROLES).map(key => AdminAuth.ROLES[key]);
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+switch (args[0]) {
+  case "add": {
+    if (args.length != 4) {
+      fail(usage);
+    }
+
+    const roles = args[3].split(",").map(role => role.trim());
+    const unknown = roles.filter(role => knownRoles.indexOf(role) == -1);
+
+    if (unknown.length > 0) {
+      fail(`Unknown roles: ${unknown.join(", ")}\n\n${usage}`);
+    }
+
+    accounts[args[1]] = { password: AdminAuth.hashPassword(args[2]), roles: roles };
+    AdminAuth.writeAccounts(filename, accounts);
+    console.log(`Saved ${args[1]} (${roles.join(", ")}) to ${filename}`);
+    break;
+  }
+
+  case "remove": {
+    if (!accounts[args[1]]) {
+      fail(`No admin called ${args[1]} in ${filename}`);
+    }
+
+    delete accounts[args[1]];
+    AdminAuth.writeAccounts(filename, accounts);
+    console.log(`Removed ${args[1]} from ${filename}`);
+    break;
+  }
+
+  case "list": {
+    Object.keys(accounts).forEach(username => {
+      console.log(`${username}: ${accounts[username].roles.join(", ")}`);
+    });
+    break;
+  }
+
+  default: fail(usage);
+}
@@ -4,14 +4,22 @@ const express = require('express');
 const cors = require('cors');
 const app = express();
 
+const { createStorage } = require('./storage/storage.js');
+const LevelCatalogue = require('./utilities/level-catalogue.js');
+const ServiceRegistry = require('./utilities/services.js');
+const AdminAuth = require('./utilities/admin-auth.js');
+const config = require('./utilities/config.js');
+
+const adminApi = require('./admin-api.js');
 const levelApi = require('./level-api.js');
 const scoreApi = require('./score-api.js');
 const newsApi = require('./news-api.js');
 
 class Server {
-  constructor(serverName) {
+  constructor(serverName, options) {
     this.name = serverName;
-    this.portNumber = 3000;
+    this.options = options;
+    this.portNumber = options.port;
   }
 
   to_minutes(num) {
@@ -19,27 +27,36 @@ class Server {
     return mins.toFixed(2);
   }
 
-  setListeningPort(portNumber) {
-    if (this.portNumber >= 2000) {
-      this.portNumber = portNumber;
-    } else {
-      this.portNumber = 3000;
+  corsOptions() {
+    if (this.options.corsOrigins.indexOf("*") != -1) {
+      return {};
     }
+
+    return { origin: this.options.corsOrigins };
   }
 
   start() {
     const startTime = Date.now();
+    const storage = createStorage(this.options);
+    const auth = new AdminAuth(this.options.adminsFile);
+    const services = new ServiceRegistry(this.options);
+    const catalogue = new LevelCatalogue("./levels");
 
     app.use(bodyParser.json());
-    app.use(cors());
-    app.use('/level/', levelApi);
-    app.use('/score/', scoreApi);
-    app.use('/news/', newsApi);
+    app.use(cors(this.corsOptions()));
+    app.use('/level/', levelApi(storage, catalogue, auth, this.options));
+    app.use('/score/', scoreApi(storage, this.options, auth, services, catalogue));
+    app.use('/news/', newsApi(storage, this.options, auth, services));
+    app.use('/admin/', adminApi(auth, services));
+    app.get('/services/', (req, res) => {
+      res.json(services.list());
+    });
     app.get('/', (req, res) => {
       const html = `
       <html>
         <body>
           <h1>Server online</h1>
+          <a href="/admin/">Admin dashboard</a>
         </body>
       </html>
       `;
@@ -54,11 +71,19 @@ class Server {
       const port = server.address().port;
 
       console.log(this.name, `Listening at http://${host}:${port}`);
+      console.log(this.name, `Using ${this.options.storage} storage for services ${this.options.services.join(", ")}`);
     });
   }
 }
 
-const port = () => Number(process.argv.slice(-1)[0]);
-const server = new Server('MobileGameDev Server');
-server.setListeningPort(port());
+let options = null;
+
+try {
+  options = config.load(process.argv.slice(2), process.env);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const server = new Server('MobileGameDev Server', options);
 server.start();
@@ -0,0 +1,88 @@
+const { createStorage, ConflictError } = require('./storage/storage.js');
+const leaderboard = require('./utilities/leaderboard.js');
+const config = require('./utilities/config.js');
+
+const usage = `Usage:
+  node migrate-scores.js <old scores table> [server settings, e.g. --storage file]
+
+Copies the scores kept before leaderboards were split by level, mode and time
+window (the UWS-MobileGameDevScores table) into scoresTable. They go on each
+service's ALL board for normal mode. Their posting time was never recorded,
+so they only show on all-time boards. Running it again skips scores already
+copied.`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const args = process.argv.slice(2);
+
+if (args.length == 0 || args[0].startsWith("--")) {
+  fail(usage);
+}
+
+let options;
+
+try {
+  options = config.load(args.slice(1), process.env);
+} catch (err) {
+  fail(err.message);
+}
+
+options.legacyScoresTable = args[0];
+
+const storage = createStorage(options);
+const board = leaderboard.readBoard({});
+let copied = 0;
+let skipped = 0;
+
+// Each old score is keyed by its service and value, so its new ScoreID is
+// built from the value and a second run finds it already there.
+const migrate = (scores, done) => {
+  if (scores.length == 0) {
+    done();
+    return;
+  }
+
+  const score = scores.shift();
+  const item = {
+    Board: leaderboard.boardKey(score.Service, board),
+    ScoreID: `legacy-${score.Highscore}`,
+    Service: score.Service,
+    Level: board.level,
+    Mode: board.mode,
+    Highscore: score.Highscore,
+    Name: score.Name,
+    Posted: 0
+  };
+
+  storage.create("scores", item, (err) => {
+    if (err && !(err instanceof ConflictError)) {
+      fail(`Could not copy ${score.Highscore} by ${score.Name}: ${err.message}`);
+    }
+
+    err ? skipped++ : copied++;
+    migrate(scores, done);
+  });
+};
+
+const migrateService = (services) => {
+  if (services.length == 0) {
+    console.log(`Copied ${copied} scores to ${options.scoresTable}, ${skipped} were already there.`);
+    return;
+  }
+
+  const service = services.shift();
+
+  storage.query("legacyScores", { hash: service }, (err, scores) => {
+    if (err) {
+      fail(`Could not read ${service} scores from ${options.legacyScoresTable}: ${err.message}`);
+    }
+
+    console.log(`${service}: ${scores.length} scores`);
+    migrate(scores, () => migrateService(services));
+  });
+};
+
+migrateService(options.services.slice());
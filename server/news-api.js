@@ -1,72 +1,189 @@
 
-const config = require('./utilities/config.js');
+const { ConflictError } = require('./storage/storage.js');
+const AdminAuth = require('./utilities/admin-auth.js');
 const express = require('express');
-const amazon = require('aws-sdk');
 const app = express();
 
-amazon.config.update(config.getConfig());
+const MAX_ID_ATTEMPTS = 10;
+
+const readTime = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  return typeof value == "number" ? value : Date.parse(value);
+};
+
+// Reads the optional scheduling fields of a post, falling back to the values
+// of the existing post when editing. Returns an error message when invalid.
+const readSchedule = (body, post, now) => {
+  const schedule = {
+    PublishAt: body.publishAt !== undefined ? readTime(body.publishAt) : post.PublishAt,
+    ExpiresAt: body.expiresAt !== undefined ? readTime(body.expiresAt) : post.ExpiresAt,
+    Pinned: body.pinned !== undefined ? Boolean(body.pinned) : Boolean(post.Pinned),
+    Draft: body.draft !== undefined ? Boolean(body.draft) : Boolean(post.Draft)
+  };
+
+  if (schedule.PublishAt === null || schedule.PublishAt === undefined) {
+    schedule.PublishAt = now;
+  }
+
+  if (isNaN(schedule.PublishAt)) {
+    schedule.error = "publishAt is not a valid date";
+  } else if (schedule.ExpiresAt !== null && schedule.ExpiresAt !== undefined) {
+    if (isNaN(schedule.ExpiresAt)) {
+      schedule.error = "expiresAt is not a valid date";
+    } else if (schedule.ExpiresAt <= schedule.PublishAt) {
+      schedule.error = "expiresAt must be after publishAt";
+    }
+  }
+
+  return schedule;
+};
+
+const applySchedule = (post, schedule) => {
+  post.PublishAt = schedule.PublishAt;
+  post.Pinned = schedule.Pinned;
+  post.Draft = schedule.Draft;
+
+  if (schedule.ExpiresAt === null || schedule.ExpiresAt === undefined) {
+    delete post.ExpiresAt;
+  } else {
+    post.ExpiresAt = schedule.ExpiresAt;
+  }
+
+  return post;
+};
+
+// Posts written before scheduling existed have no PublishAt and count as live.
+const isLive = (post, now) => {
+  return !post.Draft && (post.PublishAt || 0) <= now && (!post.ExpiresAt || post.ExpiresAt > now);
+};
+
+const byPinnedThenNewest = (a, b) => {
+  if (Boolean(a.Pinned) != Boolean(b.Pinned)) {
+    return a.Pinned ? -1 : 1;
+  }
+
+  return ((b.PublishAt || 0) - (a.PublishAt || 0)) || (b.PostID - a.PostID);
+};
 
 class NewsApi {
-  constructor() {
+  constructor(storage) {
     this.sessionPosts = 0;
-    this.dynamodb = new amazon.DynamoDB({
-      region: "eu-west-1",
-      apiVersion: '2012-08-10'
-    });
+    this.storage = storage;
   }
 
   getPostID(version, callback) {
-    var data = {
-      TableName: "UWS-MobileGameDevNews",
-      KeyConditions: {
-        Service: {
-          ComparisonOperator: 'EQ',
-          AttributeValueList: [{ S: version }]
-        },
-        PostID: {
-          ComparisonOperator: 'GE',
-          AttributeValueList: [{ N: '0' }]
-        }
-      },
-      AttributesToGet: ["PostID"],
-      ScanIndexForward: false
+    const options = {
+      hash: version,
+      descending: true,
+      limit: 1
     };
 
-    this.dynamodb.query(data, function (err, news) {
+    this.storage.query("news", options, function (err, news) {
       if (err) {
-        console.log(err);
+        callback(err);
+      } else if (news.length == 0) {
+        callback(null, 0);
       } else {
-        if (news.Count == 0) {
-          callback("0");
+        callback(null, Number(news[0].PostID) + 1);
+      }
+    });
+  }
+
+  // Claims the next PostID with a conditional write, so when two posts race
+  // for the same ID the loser picks the following one instead of overwriting.
+  createPost(item, attempts, callback) {
+    this.getPostID(item.Service, (err, postNumber) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      item.PostID = postNumber;
+
+      this.storage.create("news", item, (err) => {
+        if (err instanceof ConflictError && attempts > 1) {
+          this.createPost(item, attempts - 1, callback);
         } else {
-          var ID = Number(news.Items[0].PostID.N);
-          callback((++ID).toString());
+          callback(err, item);
         }
-      }
+      });
     });
   }
 
   handleNewsPost(req, res) {
-    if (req.body && req.body.heading && req.body.service && req.body.text) {
-      this.getPostID(req.body.service, (postNumber) => {
-        const params = {
-          TableName: "UWS-MobileGameDevNews",
-          Item: {
-            Heading: { S: req.body.heading },
-            PostID: { N: postNumber },
-            Service: { S: req.body.service },
-            Text: { S: req.body.text }
-          }
-        };
-
-        this.dynamodb.putItem(params, function (err, data) {
-          if (err) {
-            console.log(err, err.stack);
-            res.json({ "msg": err });
-          } else {
-            res.json({ "msg": "News Posted" });
+    if (req.body && req.body.heading && req.body.text) {
+      const now = Date.now();
+      const schedule = readSchedule(req.body, {}, now);
+
+      if (schedule.error) {
+        res.status(400).json({ "msg": schedule.error });
+        return;
+      }
+
+      const item = applySchedule({
+        Heading: req.body.heading,
+        Service: req.service,
+        Text: req.body.text,
+        Posted: now,
+        Updated: now
+      }, schedule);
+
+      this.createPost(item, MAX_ID_ATTEMPTS, (err, post) => {
+        if (err) {
+          console.log(err, err.stack);
+          res.status(500).json({ "msg": "News Post Failed" });
+        } else {
+          res.json({ "msg": "News Posted", "postID": post.PostID });
+        }
+      });
+    } else {
+      res.json({ "msg": "Didnt provide all information needed" });
+    }
+  }
+
+  handleNewsUpdate(req, res) {
+    if (req.body && req.body.postID !== undefined) {
+      const key = {
+        Service: req.service,
+        PostID: Number(req.body.postID)
+      };
+
+      if (isNaN(key.PostID)) {
+        res.status(400).json({ "msg": "postID must be a number" });
+        return;
+      }
+
+      this.storage.get("news", key, (err, post) => {
+        if (err) {
+          console.log(err);
+          res.status(500).json({ "msg": err.message });
+        } else if (!post) {
+          res.status(404).json({ "msg": "no such post" });
+        } else {
+          const now = Date.now();
+          const schedule = readSchedule(req.body, post, now);
+
+          if (schedule.error) {
+            res.status(400).json({ "msg": schedule.error });
+            return;
           }
-        });
+
+          post.Heading = req.body.heading || post.Heading;
+          post.Text = req.body.text || post.Text;
+          post.Updated = now;
+
+          this.storage.put("news", applySchedule(post, schedule), function (err) {
+            if (err) {
+              console.log(err, err.stack);
+              res.json({ "msg": err.message });
+            } else {
+              res.json({ "msg": "News Updated" });
+            }
+          });
+        }
       });
     } else {
       res.json({ "msg": "Didnt provide all information needed" });
@@ -74,45 +191,57 @@ class NewsApi {
   }
 
   handleListNews(req, res) {
-    const data = {
-      TableName: "UWS-MobileGameDevNews",
-      KeyConditions: {
-        Service: {
-          ComparisonOperator: 'EQ',
-          AttributeValueList: [{ S: "VERSION1" }]
-        },
-        PostID: {
-          ComparisonOperator: 'GE',
-          AttributeValueList: [{ N: '0' }]
-        }
-      },
-      AttributesToGet: ["Heading", "PostID", "Text", "Service"],
-      ScanIndexForward: false
+    const options = {
+      hash: req.service,
+      descending: true
     };
 
-    this.dynamodb.query(data, function (err, news) {
+    this.storage.query("news", options, function (err, news) {
+      const now = Date.now();
+
       if (err) {
         console.log(err);
         res.json([]);
       } else {
-        res.json(news.Items);
+        res.json(news.filter(post => isLive(post, now)).sort(byPinnedThenNewest));
+      }
+    });
+  }
+
+  // Every post including drafts, scheduled and expired ones, for editors.
+  handleListAllNews(req, res) {
+    const options = {
+      hash: req.service,
+      descending: true
+    };
+
+    this.storage.query("news", options, function (err, news) {
+      const now = Date.now();
+
+      if (err) {
+        console.log(err);
+        res.status(500).json({ "msg": "Could not load news" });
+      } else {
+        res.json(news.sort(byPinnedThenNewest).map(post => Object.assign({ Live: isLive(post, now) }, post)));
       }
     });
   }
 
   handleDeleteRequest(req, res) {
-    if (req.body.service && req.body.postID) {
-      const params = {
-        TableName: "UWS-MobileGameDevNews",
-        Key: {
-          Service: { S: req.body.service },
-          PostID: { N: req.body.postID }
-        }
+    if (req.body && req.body.postID !== undefined) {
+      const key = {
+        Service: req.service,
+        PostID: Number(req.body.postID)
       };
 
-      this.dynamodb.deleteItem(params, (err, data) => {
+      if (isNaN(key.PostID)) {
+        res.status(400).json({ "msg": "postID must be a number" });
+        return;
+      }
+
+      this.storage.remove("news", key, null, (err) => {
         if (err) {
-          res.json({ "msg": err });
+          res.json({ "msg": err.message });
         } else {
           res.json({ "msg": "item deleted successful" });
         }
@@ -123,20 +252,30 @@ class NewsApi {
   }
 }
 
-module.exports = (() => {
-  const newsApi = new NewsApi();
+module.exports = (storage, options, auth, services) => {
+  const newsApi = new NewsApi(storage);
+
+  app.use(services.require());
 
-  app.post('/postNews/', function (request, response) {
+  app.post('/postNews/', auth.require(AdminAuth.ROLES.news), function (request, response) {
     newsApi.handleNewsPost(request, response);
   });
 
+  app.post('/updateNews/', auth.require(AdminAuth.ROLES.news), function (request, response) {
+    newsApi.handleNewsUpdate(request, response);
+  });
+
   app.get('/getNews/', function (request, response) {
     newsApi.handleListNews(request, response);
   });
 
-  app.post('/deleteNews/', function (request, response) {
+  app.get('/listNews/', auth.require(AdminAuth.ROLES.news), function (request, response) {
+    newsApi.handleListAllNews(request, response);
+  });
+
+  app.post('/deleteNews/', auth.require(AdminAuth.ROLES.news), function (request, response) {
     newsApi.handleDeleteRequest(request, response);
   });
 
   return app;
-})();
+};
@@ -1,111 +1,264 @@
 
-const config = require('./utilities/config.js');
+const RunValidator = require('./utilities/run-validator.js');
+const leaderboard = require('./utilities/leaderboard.js');
+const RunTokens = require('./utilities/run-tokens.js');
+const AdminAuth = require('./utilities/admin-auth.js');
 const express = require('express');
-const amazon = require('aws-sdk');
 const app = express();
 
-amazon.config.update(config.getConfig());
+const playerName = score => typeof score.Name == "string" ? score.Name : "";
 
 class ScoreApi {
-  constructor() {
+  constructor(storage, options, catalogue) {
     this.sessionPosts = 0;
-    this.dynamodb = new amazon.DynamoDB({
-      region: "eu-west-1",
-      apiVersion: '2012-08-10'
-    });
+    this.storage = storage;
+    this.runTokens = new RunTokens(options.tokenSecret);
+    this.runValidator = new RunValidator(catalogue);
+  }
+
+  handleStartRun(req, res) {
+    const issued = this.runTokens.issue(req.service, Date.now());
+
+    res.json({ "token": issued.token, "issued": issued.run.issued });
+  }
+
+  // Checks the run token and summary sent with a score, returning the run it
+  // belongs to or the reason it was rejected.
+  verifyRun(req, board, now) {
+    const verified = this.runTokens.verify(req.body.token, req.service, now, leaderboard.boardKey(req.service, board));
+
+    if (verified.error) {
+      return verified;
+    }
+
+    const reason = this.runValidator.check(Number(req.body.highscore), board, req.body.summary, verified.run, now);
+    return reason ? { error: reason } : verified;
   }
 
   handleGetScores(req, res) {
-    const data = {
-      TableName: "UWS-MobileGameDevScores",
-      KeyConditions: {
-        Service: {
-          ComparisonOperator: 'EQ',
-          AttributeValueList: [{
-            S: "VERSION1"
-          }]
-        },
-        Highscore: {
-          ComparisonOperator: 'GE',
-          AttributeValueList: [{
-            N: '0'
-          }]
-        }
-      },
+    const board = leaderboard.readBoard({});
+    const options = {
+      hash: leaderboard.boardKey(req.service, board)
+    };
 
-      AttributesToGet: ["Service", "Highscore", "Name"],
-      ScanIndexForward: false,
-      Limit: 100
+    this.storage.query("scores", options, (err, scores) => {
+      if (err) {
+        console.log(err);
+        res.json([]);
+      } else {
+        res.json(scores.sort((a, b) => b.Highscore - a.Highscore).slice(0, 100));
+      }
+    });
+  }
+
+  loadLeaderboard(service, board, callback) {
+    const since = leaderboard.windowStart(board.window, Date.now());
+    const options = {
+      hash: leaderboard.boardKey(service, board)
     };
 
-    this.dynamodb.query(data, (err, news) => {
+    this.storage.query("scores", options, (err, scores) => {
       if (err) {
         console.log(err);
+        callback(err, []);
       } else {
-        res.json(news.Items);
+        callback(null, leaderboard.rankScores(scores.filter(score => score.Posted >= since)));
+      }
+    });
+  }
+
+  // Unlike the leaderboard this lists every score posted, for moderation.
+  handleListScores(req, res) {
+    const board = leaderboard.readBoard(req.query);
+    const offset = leaderboard.readCount(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+    const limit = leaderboard.readCount(req.query.limit, 50, 500);
+    const name = String(req.query.name || "").toLowerCase();
+
+    if (board.error) {
+      res.status(400).json({ "msg": board.error });
+      return;
+    }
+
+    const since = leaderboard.windowStart(board.window, Date.now());
+    const options = {
+      hash: leaderboard.boardKey(req.service, board)
+    };
+
+    this.storage.query("scores", options, (err, scores) => {
+      if (err) {
+        console.log(err);
+        res.status(500).json({ "msg": "Could not load scores" });
+      } else {
+        const matches = scores
+          // Scores stored before names were checked may not have a string
+          // Name. They are still listed, but never match a search.
+          .filter(score => score.Posted >= since && playerName(score).toLowerCase().indexOf(name) != -1)
+          .sort((a, b) => b.Highscore - a.Highscore);
+
+        res.json({
+          total: matches.length,
+          offset: offset,
+          limit: limit,
+          scores: matches.slice(offset, offset + limit)
+        });
+      }
+    });
+  }
+
+  handleLeaderboard(req, res) {
+    const board = leaderboard.readBoard(req.query);
+    const offset = leaderboard.readCount(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+    const limit = leaderboard.readCount(req.query.limit, 10, 100);
+
+    if (board.error) {
+      res.status(400).json({ "msg": board.error });
+      return;
+    }
+
+    this.loadLeaderboard(req.service, board, (err, entries) => {
+      if (err) {
+        res.status(500).json({ "msg": "Could not load leaderboard" });
+      } else {
+        res.json({
+          level: board.level,
+          mode: board.mode,
+          window: board.window,
+          total: entries.length,
+          offset: offset,
+          limit: limit,
+          entries: entries.slice(offset, offset + limit)
+        });
+      }
+    });
+  }
+
+  handlePlayerRequest(req, res) {
+    const board = leaderboard.readBoard(req.query);
+
+    if (!req.query.name || board.error) {
+      res.status(400).json({ "msg": board.error || "invalid request" });
+      return;
+    }
+
+    this.loadLeaderboard(req.service, board, (err, entries) => {
+      const index = leaderboard.findPlayer(entries, req.query.name);
+
+      if (err) {
+        res.status(500).json({ "msg": "Could not load leaderboard" });
+      } else if (index == -1) {
+        res.status(404).json({ "msg": "player has no scores" });
+      } else {
+        res.json(Object.assign({ total: entries.length }, entries[index]));
+      }
+    });
+  }
+
+  handleAroundRequest(req, res) {
+    const board = leaderboard.readBoard(req.query);
+    const range = leaderboard.readCount(req.query.range, 5, 25);
+
+    if (!req.query.name || board.error) {
+      res.status(400).json({ "msg": board.error || "invalid request" });
+      return;
+    }
+
+    this.loadLeaderboard(req.service, board, (err, entries) => {
+      const index = leaderboard.findPlayer(entries, req.query.name);
+
+      if (err) {
+        res.status(500).json({ "msg": "Could not load leaderboard" });
+      } else if (index == -1) {
+        res.status(404).json({ "msg": "player has no scores" });
+      } else {
+        res.json({
+          total: entries.length,
+          player: entries[index],
+          entries: entries.slice(Math.max(0, index - range), index + range + 1)
+        });
       }
     });
   }
 
   handleDeleteRequest(req, res) {
-    if (req.body && req.body.service && req.body.name && req.body.highscore) {
-      const params = {
-        TableName: "UWS-MobileGameDevScores",
-        Key: {
-          Service: { S: req.body.service },
-          Highscore: { N: req.body.highscore },
-        },
-        Expected: {
-          Name: {
-            Exists: true,
-            Value: {
-              S: req.body.name
-            }
-          }
-        }
+    const board = leaderboard.readBoard(req.body || {});
+
+    if (req.body && req.body.scoreID && !board.error) {
+      const key = {
+        Board: leaderboard.boardKey(req.service, board),
+        ScoreID: req.body.scoreID
       };
 
-      this.dynamodb.deleteItem(params, function (err, data) {
+      const expected = req.body.name ? { Name: req.body.name } : null;
+
+      this.storage.remove("scores", key, expected, (err) => {
         if (err) {
-          res.json({ "msg": err });
+          res.json({ "msg": err.message });
         } else {
+          console.log(`Admin "${req.admin.username}" deleted score ${req.body.scoreID} from ${key.Board}`);
           res.json({ "msg": "item deleted successful" });
         }
       });
     } else {
-      res.json({ "msg": "invalid request" });
+      res.json({ "msg": board.error || "invalid request" });
     }
   }
 
   handleScorePost(req, res) {
-    if (req.body && req.body.service && req.body.highscore && req.body.name) {
-      const params = {
-        Item: {
-          Service: { S: req.body.service },
-          Highscore: { N: req.body.highscore },
-          Name: { S: req.body.name },
-        },
-
-        TableName: "UWS-MobileGameDevScores"
+    const board = leaderboard.readBoard(req.body || {});
+
+    if (req.body && req.body.name !== undefined && !leaderboard.isPlayerName(req.body.name)) {
+      res.status(400).json({ "msg": "Invalid name", "reason": `name must be 1 to ${leaderboard.MAX_NAME_LENGTH} characters` });
+      return;
+    }
+
+    if (req.body && req.body.highscore && req.body.name && !board.error) {
+      const now = Date.now();
+      const verified = this.verifyRun(req, board, now);
+
+      if (verified.error) {
+        console.log(`Rejected score ${req.body.highscore} from "${req.body.name}" on ${board.level}: ${verified.error}`);
+        res.status(400).json({ "msg": "Score Rejected", "reason": verified.error });
+        return;
+      }
+
+      this.runTokens.redeem(verified.run, leaderboard.boardKey(req.service, board));
+
+      const item = {
+        Board: leaderboard.boardKey(req.service, board),
+        ScoreID: leaderboard.createScoreID(now),
+        Service: req.service,
+        Level: board.level,
+        Mode: board.mode,
+        Highscore: Number(req.body.highscore),
+        Name: req.body.name,
+        Posted: now,
+        RunID: verified.run.id,
+        Summary: RunValidator.record(req.body.summary)
       };
 
       this.sessionPosts++;
-      this.dynamodb.putItem(params, (err, data) => {
+      this.storage.put("scores", item, (err) => {
         if (err) {
           console.log(err, err.stack);
           res.json({ "msg": "Score Post Failed" });
         } else {
-          res.json({ "msg": "Score Posted" });
+          res.json({ "msg": "Score Posted", "scoreID": item.ScoreID });
         }
       });
     } else {
-      res.json({ "msg": "Invalid params" });
+      res.json({ "msg": board.error || "Invalid params" });
     }
   }
 }
 
-module.exports = (() => {
-  const scoreApi = new ScoreApi();
+module.exports = (storage, options, auth, services, catalogue) => {
+  const scoreApi = new ScoreApi(storage, options, catalogue);
+
+  app.use(services.require());
+
+  app.post('/startRun/', (request, response) => {
+    scoreApi.handleStartRun(request, response);
+  });
 
   app.post('/postScore/', (request, response) => {
     scoreApi.handleScorePost(request, response);
@@ -115,9 +268,25 @@ module.exports = (() => {
     scoreApi.handleGetScores(request, response);
   });
 
-  app.post('/deleteScore/', (request, response) => {
+  app.get('/listScores/', auth.require(AdminAuth.ROLES.scores), (request, response) => {
+    scoreApi.handleListScores(request, response);
+  });
+
+  app.get('/leaderboard/', (request, response) => {
+    scoreApi.handleLeaderboard(request, response);
+  });
+
+  app.get('/player/', (request, response) => {
+    scoreApi.handlePlayerRequest(request, response);
+  });
+
+  app.get('/around/', (request, response) => {
+    scoreApi.handleAroundRequest(request, response);
+  });
+
+  app.post('/deleteScore/', auth.require(AdminAuth.ROLES.scores), (request, response) => {
     scoreApi.handleDeleteRequest(request, response);
   });
 
   return app;
-})();
+};
@@ -0,0 +1,12 @@
+
+// Raised by every storage adapter when a conditional write fails, either
+// because create() found the key taken or remove() found an item that did
+// not match what was expected.
+class ConflictError extends Error {
+  constructor(message) {
+    super(message || "The conditional request failed");
+    this.name = "ConflictError";
+  }
+}
+
+module.exports = ConflictError;
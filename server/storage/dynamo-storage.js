@@ -0,0 +1,120 @@
+
+const ConflictError = require('./conflict-error.js');
+const config = require('../utilities/config.js');
+const amazon = require('aws-sdk');
+
+const conflicts = (err) => {
+  if (err && err.code == 'ConditionalCheckFailedException') {
+    return new ConflictError();
+  }
+
+  return err;
+};
+
+class DynamoStorage {
+  constructor(tables, options) {
+    amazon.config.update(config.getCredentials(options));
+
+    this.tables = tables;
+    this.client = new amazon.DynamoDB.DocumentClient({
+      region: options.region,
+      apiVersion: '2012-08-10'
+    });
+  }
+
+  query(table, options, callback) {
+    const schema = this.tables[table];
+    const params = {
+      TableName: schema.name,
+      KeyConditionExpression: "#hash = :hash",
+      ExpressionAttributeNames: { "#hash": schema.hashKey },
+      ExpressionAttributeValues: { ":hash": options.hash },
+      ScanIndexForward: !options.descending
+    };
+
+    const items = [];
+
+    // A single query returns at most 1MB, so keep following the
+    // LastEvaluatedKey until the limit is met or the partition is exhausted.
+    const next = (startKey) => {
+      if (options.limit) {
+        params.Limit = options.limit - items.length;
+      }
+
+      if (startKey) {
+        params.ExclusiveStartKey = startKey;
+      }
+
+      this.client.query(params, (err, data) => {
+        if (err) {
+          callback(err, []);
+        } else {
+          items.push(...data.Items);
+
+          if (data.LastEvaluatedKey && (!options.limit || items.length < options.limit)) {
+            next(data.LastEvaluatedKey);
+          } else {
+            callback(null, items);
+          }
+        }
+      });
+    };
+
+    next(null);
+  }
+
+  get(table, key, callback) {
+    const params = {
+      TableName: this.tables[table].name,
+      Key: key
+    };
+
+    this.client.get(params, (err, data) => {
+      callback(err, err ? null : (data.Item || null));
+    });
+  }
+
+  put(table, item, callback) {
+    const params = {
+      TableName: this.tables[table].name,
+      Item: item
+    };
+
+    this.client.put(params, err => callback(err));
+  }
+
+  create(table, item, callback) {
+    const params = {
+      TableName: this.tables[table].name,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(#hash)",
+      ExpressionAttributeNames: { "#hash": this.tables[table].hashKey }
+    };
+
+    this.client.put(params, err => callback(conflicts(err)));
+  }
+
+  remove(table, key, expected, callback) {
+    const params = {
+      TableName: this.tables[table].name,
+      Key: key
+    };
+
+    const names = Object.keys(expected || {});
+
+    if (names.length > 0) {
+      params.ConditionExpression = names.map((name, i) => `#e${i} = :e${i}`).join(" AND ");
+      params.ExpressionAttributeNames = {};
+      params.ExpressionAttributeValues = {};
+
+      names.forEach((name, i) => {
+        params.ExpressionAttributeNames[`#e${i}`] = name;
+        params.ExpressionAttributeValues[`:e${i}`] = expected[name];
+      });
+    }
+
+    this.client.delete(params, err => callback(conflicts(err)));
+  }
+}
+
+module.exports = DynamoStorage;
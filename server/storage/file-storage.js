@@ -0,0 +1,116 @@
+
+const ConflictError = require('./conflict-error.js');
+const path = require('path');
+const fs = require('fs');
+
+const compare = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+// Keeps each table in memory and mirrors it to <directory>/<table name>.json
+// after every write. Meant for development machines and CI, not for
+// running several server processes against the same directory.
+class FileStorage {
+  constructor(tables, options) {
+    this.directory = options.dataDirectory;
+    this.tables = tables;
+    this.items = {};
+
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    Object.keys(tables).forEach(table => {
+      const filename = this.filename(table);
+
+      if (fs.existsSync(filename)) {
+        const file = fs.readFileSync(filename, 'utf8');
+        this.items[table] = JSON.parse(file.replace(/^\uFEFF/, ''));
+      } else {
+        this.items[table] = [];
+      }
+    });
+  }
+
+  filename(table) {
+    return path.join(this.directory, `${this.tables[table].name}.json`);
+  }
+
+  save(table) {
+    fs.writeFileSync(this.filename(table), JSON.stringify(this.items[table], null, 2));
+  }
+
+  matches(table, item, key) {
+    const schema = this.tables[table];
+    return item[schema.hashKey] === key[schema.hashKey] &&
+      item[schema.rangeKey] === key[schema.rangeKey];
+  }
+
+  query(table, options, callback) {
+    const schema = this.tables[table];
+    const direction = options.descending ? -1 : 1;
+
+    let items = this.items[table]
+      .filter(item => item[schema.hashKey] === options.hash)
+      .sort((a, b) => direction * compare(a[schema.rangeKey], b[schema.rangeKey]));
+
+    if (options.limit) {
+      items = items.slice(0, options.limit);
+    }
+
+    setImmediate(() => callback(null, items.map(item => Object.assign({}, item))));
+  }
+
+  get(table, key, callback) {
+    const item = this.items[table].find(current => this.matches(table, current, key));
+    setImmediate(() => callback(null, item ? Object.assign({}, item) : null));
+  }
+
+  put(table, item, callback) {
+    const items = this.items[table].filter(current => !this.matches(table, current, item));
+
+    items.push(Object.assign({}, item));
+    this.items[table] = items;
+
+    this.write(table, callback);
+  }
+
+  create(table, item, callback) {
+    if (this.items[table].some(current => this.matches(table, current, item))) {
+      setImmediate(() => callback(new ConflictError()));
+    } else {
+      this.items[table].push(Object.assign({}, item));
+      this.write(table, callback);
+    }
+  }
+
+  remove(table, key, expected, callback) {
+    const index = this.items[table].findIndex(item => this.matches(table, item, key));
+    const item = this.items[table][index];
+
+    const failed = Object.keys(expected || {}).some(name => !item || item[name] !== expected[name]);
+
+    if (failed) {
+      setImmediate(() => callback(new ConflictError()));
+    } else {
+      if (item) {
+        this.items[table].splice(index, 1);
+      }
+
+      this.write(table, callback);
+    }
+  }
+
+  write(table, callback) {
+    try {
+      this.save(table);
+      setImmediate(() => callback(null));
+    } catch (err) {
+      setImmediate(() => callback(err));
+    }
+  }
+}
+
+module.exports = FileStorage;
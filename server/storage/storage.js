@@ -0,0 +1,61 @@
+
+const ConflictError = require('./conflict-error.js');
+const DynamoStorage = require('./dynamo-storage.js');
+const FileStorage = require('./file-storage.js');
+
+const tables = {
+  scores: {
+    setting: "scoresTable",
+    hashKey: "Board",
+    rangeKey: "ScoreID"
+  },
+
+  news: {
+    setting: "newsTable",
+    hashKey: "Service",
+    rangeKey: "PostID"
+  },
+
+  // The single leaderboard per service from before boards were split by
+  // level and mode. Only opened by migrate-scores.js, which names it.
+  legacyScores: {
+    setting: "legacyScoresTable",
+    hashKey: "Service",
+    rangeKey: "Highscore"
+  }
+};
+
+const backends = {
+  dynamodb: DynamoStorage,
+  file: FileStorage
+};
+
+// Every adapter exposes the same callback based interface:
+//   query(table, { hash, descending, limit }, callback(err, items))
+//   get(table, key, callback(err, item))
+//   put(table, item, callback(err))
+//   create(table, item, callback(err))
+//   remove(table, key, expected, callback(err))
+// where items are plain objects and table is one of the keys above. The
+// physical table names come from the server configuration.
+//
+// create() only writes when the key is free and remove() only deletes when
+// the expected attributes match, otherwise they fail with a ConflictError.
+const createStorage = (options) => {
+  const Backend = backends[options.storage];
+  const schemas = {};
+
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${options.storage}"`);
+  }
+
+  Object.keys(tables)
+    .filter(table => options[tables[table].setting])
+    .forEach(table => {
+      schemas[table] = Object.assign({ name: options[tables[table].setting] }, tables[table]);
+    });
+
+  return new Backend(schemas, options);
+};
+
+module.exports = { createStorage, tables, ConflictError };
@@ -0,0 +1,98 @@
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ROLES = {
+  news: "news-editor",
+  scores: "score-moderator",
+  levels: "level-designer"
+};
+
+const hashPassword = (password, salt) => {
+  salt = salt || crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const checkPassword = (password, stored) => {
+  const parts = String(stored).split("$");
+
+  if (parts.length != 3 || parts[0] != "scrypt") {
+    return false;
+  }
+
+  const expected = Buffer.from(parts[2], 'hex');
+  const given = Buffer.from(hashPassword(password, parts[1]).split("$")[2], 'hex');
+
+  return given.length == expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Admin accounts live in a JSON file of { username: { password, roles } }
+// with scrypt hashed passwords, managed through manage-admins.js. Requests
+// authenticate with HTTP basic auth.
+class AdminAuth {
+  constructor(filename) {
+    this.filename = filename;
+    this.accounts = AdminAuth.readAccounts(filename);
+
+    if (Object.keys(this.accounts).length == 0) {
+      console.log(`No admin accounts in ${filename}, admin routes will refuse every request`);
+    }
+  }
+
+  static readAccounts(filename) {
+    if (!fs.existsSync(filename)) {
+      return {};
+    }
+
+    const file = fs.readFileSync(filename, 'utf8');
+    return JSON.parse(file.replace(/^\uFEFF/, ''));
+  }
+
+  static writeAccounts(filename, accounts) {
+    fs.writeFileSync(filename, JSON.stringify(accounts, null, 2));
+  }
+
+  authenticate(header) {
+    const match = String(header || "").match(/^Basic\s+(.+)$/i);
+
+    if (!match) {
+      return null;
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(":");
+    const username = credentials.substr(0, separator);
+    const account = this.accounts[username];
+
+    if (separator == -1 || !account || !checkPassword(credentials.substr(separator + 1), account.password)) {
+      return null;
+    }
+
+    return { username: username, roles: account.roles || [] };
+  }
+
+  // Express middleware letting through only admins holding the given role,
+  // or any admin at all when no role is given.
+  require(role) {
+    return (req, res, next) => {
+      const admin = this.authenticate(req.headers.authorization);
+
+      if (!admin) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="mgd-server"');
+        res.status(401).json({ "msg": "authentication required" });
+      } else if (role && admin.roles.indexOf(role) == -1) {
+        console.log(`Admin "${admin.username}" refused ${req.method} ${req.originalUrl}, needs ${role}`);
+        res.status(403).json({ "msg": `requires the ${role} role` });
+      } else {
+        req.admin = admin;
+        next();
+      }
+    };
+  }
+}
+
+AdminAuth.ROLES = ROLES;
+AdminAuth.hashPassword = hashPassword;
+
+module.exports = AdminAuth;
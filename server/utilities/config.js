@@ -1,7 +1,119 @@
 
 const crypto = require('crypto');
+const path = require('path');
 const fs = require('fs');
 
+const defaults = {
+  port: 3000,
+  service: "VERSION1",
+  services: ["VERSION1"],
+  corsOrigins: ["*"],
+  storage: "dynamodb",
+  dataDirectory: "./data",
+  region: "eu-west-1",
+  credentials: "./credentials.json",
+  key: "",
+  tokenSecret: "",
+  adminsFile: "./admins.json",
+  assetsFile: "../game/data/load.json",
+  scoresTable: "UWS-MobileGameDevScoresV2",
+  newsTable: "UWS-MobileGameDevNews"
+};
+
+// Every setting can come from the config file, an environment variable or a
+// command line flag, with later sources overriding earlier ones.
+const settings = [
+  { name: "port", env: "MGD_PORT", flag: "--port", type: "number" },
+  { name: "service", env: "MGD_SERVICE", flag: "--service", type: "string" },
+  { name: "services", env: "MGD_SERVICES", flag: "--services", type: "list" },
+  { name: "corsOrigins", env: "MGD_CORS_ORIGINS", flag: "--cors-origins", type: "list" },
+  { name: "storage", env: "MGD_STORAGE", flag: "--storage", type: "string" },
+  { name: "dataDirectory", env: "MGD_DATA_DIR", flag: "--data-dir", type: "string" },
+  { name: "region", env: "MGD_REGION", flag: "--region", type: "string" },
+  { name: "credentials", env: "MGD_CREDENTIALS", flag: "--credentials", type: "string" },
+  { name: "key", env: "MGD_KEY", flag: "--key", type: "string" },
+  { name: "tokenSecret", env: "MGD_TOKEN_SECRET", flag: "--token-secret", type: "string" },
+  { name: "adminsFile", env: "MGD_ADMINS_FILE", flag: "--admins-file", type: "string" },
+  { name: "assetsFile", env: "MGD_ASSETS_FILE", flag: "--assets-file", type: "string" },
+  { name: "scoresTable", env: "MGD_SCORES_TABLE", flag: "--scores-table", type: "string" },
+  { name: "newsTable", env: "MGD_NEWS_TABLE", flag: "--news-table", type: "string" }
+];
+
+const storageBackends = ["dynamodb", "file"];
+
+const parseValue = (setting, value) => {
+  switch (setting.type) {
+    case "number": return Number(value);
+    case "list": return String(value).split(",").map(item => item.trim()).filter(item => item);
+
+    default: return value;
+  }
+};
+
+const readFile = (filename, errors) => {
+  try {
+    const file = fs.readFileSync(filename, 'utf8');
+    return JSON.parse(file.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    errors.push(`Could not read config file ${filename}: ${err.message}`);
+    return {};
+  }
+};
+
+const readArgs = (argv, errors) => {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^(--[a-z-]+)(?:=(.*))?$/);
+
+    if (!match) {
+      errors.push(`Unexpected argument "${argv[i]}", settings are passed as --name value`);
+    } else if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (i + 1 < argv.length) {
+      args[match[1]] = argv[++i];
+    } else {
+      errors.push(`Missing value for ${match[1]}`);
+    }
+  }
+
+  return args;
+};
+
+const validate = (options, errors) => {
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+    errors.push(`port must be a whole number between 1 and 65535, got "${options.port}"`);
+  }
+
+  if (storageBackends.indexOf(options.storage) == -1) {
+    errors.push(`storage must be one of ${storageBackends.join(", ")}, got "${options.storage}"`);
+  }
+
+  if (!Array.isArray(options.corsOrigins) || options.corsOrigins.length == 0) {
+    errors.push("corsOrigins must list at least one origin (use * to allow any)");
+  }
+
+  ["service", "region", "scoresTable", "newsTable", "dataDirectory", "adminsFile", "assetsFile"].forEach(name => {
+    if (typeof options[name] !== "string" || options[name].length == 0) {
+      errors.push(`${name} must be a non-empty string`);
+    }
+  });
+
+  if (!Array.isArray(options.services) || options.services.indexOf(options.service) == -1) {
+    errors.push(`services must list every known service including the default "${options.service}"`);
+  }
+
+  if (options.storage == "dynamodb") {
+    if (!options.key) {
+      errors.push("key is required to decrypt the AWS credentials when storage is dynamodb (--key or MGD_KEY)");
+    }
+
+    if (!fs.existsSync(options.credentials)) {
+      errors.push(`credentials file ${options.credentials} does not exist`);
+    }
+  }
+};
+
 const config = {
   decrypt: function(text, key) {
     const decipher = crypto.createDecipher('aes-256-ctr', key)
@@ -10,16 +122,64 @@ const config = {
     return dec;
   },
 
-  getConfig: function() {
-    const key = process.argv[process.argv.length-1];
-    const file = fs.readFileSync("./credentials.json", 'utf8');
+  getCredentials: function(options) {
+    const file = fs.readFileSync(options.credentials, 'utf8');
     const obj = JSON.parse(file.replace(/^\uFEFF/, ''));
 
     return {
-      accessKeyId: config.decrypt(obj.AKI, key),
-      secretAccessKey: config.decrypt(obj.SAK, key),
-      region: config.decrypt(obj.REG, key)
+      accessKeyId: config.decrypt(obj.AKI, options.key),
+      secretAccessKey: config.decrypt(obj.SAK, options.key),
+      region: config.decrypt(obj.REG, options.key)
     };
+  },
+
+  // Builds the server settings from defaults, the config file (--config or
+  // MGD_CONFIG, falling back to ./config.json when present), environment
+  // variables and command line flags. Throws listing every invalid setting.
+  load: function(argv, env) {
+    const errors = [];
+    const args = readArgs(argv, errors);
+    const filename = args["--config"] || env.MGD_CONFIG || (fs.existsSync("./config.json") ? "./config.json" : null);
+    const file = filename ? readFile(filename, errors) : {};
+    const options = Object.assign({}, defaults);
+
+    Object.keys(file).forEach(name => {
+      if (!settings.some(setting => setting.name == name)) {
+        errors.push(`Unknown setting "${name}" in ${filename}`);
+      }
+    });
+
+    settings.forEach(setting => {
+      if (file[setting.name] !== undefined) {
+        options[setting.name] = file[setting.name];
+      }
+
+      if (env[setting.env] !== undefined) {
+        options[setting.name] = parseValue(setting, env[setting.env]);
+      }
+
+      if (args[setting.flag] !== undefined) {
+        options[setting.name] = parseValue(setting, args[setting.flag]);
+      }
+    });
+
+    Object.keys(args).forEach(flag => {
+      if (flag != "--config" && !settings.some(setting => setting.flag == flag)) {
+        errors.push(`Unknown flag ${flag}`);
+      }
+    });
+
+    validate(options, errors);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+    }
+
+    if (filename) {
+      options.configFile = path.resolve(filename);
+    }
+
+    return options;
   }
 };
 
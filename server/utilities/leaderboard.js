@@ -0,0 +1,111 @@
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const windows = ["all", "weekly", "daily"];
+
+// The longest name the game's results screen lets a player enter.
+const MAX_NAME_LENGTH = 12;
+
+// Leaderboards are split by the level that produced the score ("ALL" for a
+// full run) and by the game mode it was played in.
+const readBoard = (params) => {
+  const board = {
+    level: String(params.level || "ALL").toUpperCase(),
+    mode: String(params.mode || "normal").toLowerCase(),
+    window: String(params.window || "all").toLowerCase()
+  };
+
+  if (!/^(ALL|LV\d{1,3})$/.test(board.level)) {
+    board.error = `unknown level "${params.level}"`;
+  } else if (!/^[a-z0-9-]{1,20}$/.test(board.mode)) {
+    board.error = `unknown mode "${params.mode}"`;
+  } else if (windows.indexOf(board.window) == -1) {
+    board.error = `window must be one of ${windows.join(", ")}`;
+  }
+
+  return board;
+};
+
+const boardKey = (service, board) => {
+  return `${service}|${board.level}|${board.mode}`;
+};
+
+// Daily boards reset at midnight UTC and weekly boards on Monday midnight UTC.
+const windowStart = (window, now) => {
+  const today = Math.floor(now / DAY) * DAY;
+
+  switch (window) {
+    case "daily": return today;
+    case "weekly": return today - ((new Date(today).getUTCDay() + 6) % 7) * DAY;
+
+    default: return 0;
+  }
+};
+
+// Time ordered so the newest score always sorts last within a board, with a
+// random suffix so two scores posted in the same millisecond never collide.
+const createScoreID = (now) => {
+  const random = Math.floor(Math.random() * 0xFFFFFF).toString(16);
+  return `${now.toString(36).padStart(9, "0")}-${random.padStart(6, "0")}`;
+};
+
+// Turns raw score items into a leaderboard holding each player's best score,
+// highest first. Equal scores share a rank (1, 2, 2, 4).
+const rankScores = (items) => {
+  const best = new Map();
+
+  items.forEach(item => {
+    const current = best.get(item.Name);
+
+    if (!current || item.Highscore > current.highscore) {
+      best.set(item.Name, { name: item.Name, highscore: item.Highscore, scoreID: item.ScoreID });
+    }
+  });
+
+  const entries = Array.from(best.values())
+    .sort((a, b) => b.highscore - a.highscore);
+
+  entries.forEach((entry, i) => {
+    if (i > 0 && entries[i - 1].highscore == entry.highscore) {
+      entry.rank = entries[i - 1].rank;
+    } else {
+      entry.rank = i + 1;
+    }
+  });
+
+  return entries;
+};
+
+const findPlayer = (entries, name) => {
+  return entries.findIndex(entry => entry.name == name);
+};
+
+// Reads a non-negative integer query parameter, falling back to a default and
+// clamping to a maximum so a single request cannot ask for the whole table.
+const readCount = (value, fallback, maximum) => {
+  const number = parseInt(value, 10);
+
+  if (isNaN(number) || number < 0) {
+    return fallback;
+  }
+
+  return Math.min(number, maximum);
+};
+
+// Names are stored and shown as they are, so anything but a short string is
+// refused.
+const isPlayerName = (name) => {
+  return typeof name == "string" && name.trim() !== "" && name.length <= MAX_NAME_LENGTH;
+};
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  isPlayerName,
+  readBoard,
+  boardKey,
+  windowStart,
+  createScoreID,
+  rankScores,
+  findPlayer,
+  readCount
+};
@@ -0,0 +1,143 @@
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const LEVEL_ID = /^LV\d{1,3}$/;
+
+// Keeps track of which levels exist, the order they are played in and every
+// version published of each. The catalogue lives in catalogue.json beside
+// the level files and old versions are never deleted, so a client holding
+// any checksum can tell whether it needs to refetch.
+class LevelCatalogue {
+  constructor(directory) {
+    this.directory = directory;
+    this.filename = path.join(directory, "catalogue.json");
+    this.levels = JSON.parse(fs.readFileSync(this.filename, 'utf8').replace(/^\uFEFF/, ''));
+    this.checksums = {};
+
+    this.levels.forEach(level => {
+      level.versions.forEach(version => this.checksum(version.file));
+    });
+  }
+
+  static isLevelID(id) {
+    return LEVEL_ID.test(String(id));
+  }
+
+  // Checksums cover the file as served, without any byte order mark.
+  checksum(file) {
+    if (!this.checksums[file]) {
+      const text = fs.readFileSync(path.join(this.directory, file), 'utf8').replace(/^\uFEFF/, '');
+      this.checksums[file] = crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    return this.checksums[file];
+  }
+
+  find(id) {
+    return this.levels.find(level => level.id == id) || null;
+  }
+
+  findByFile(file) {
+    return this.levels.find(level => level.versions.some(version => version.file == file)) || null;
+  }
+
+  // The given version of a level, or its latest one when no version is given.
+  findVersion(id, version) {
+    const level = this.find(id);
+
+    if (!level) {
+      return null;
+    }
+
+    if (version === undefined || version === null) {
+      return level.versions[level.versions.length - 1];
+    }
+
+    return level.versions.find(current => current.version == version) || null;
+  }
+
+  ordered() {
+    return this.levels.slice().sort((a, b) => a.order - b.order);
+  }
+
+  history(id) {
+    const level = this.find(id);
+
+    if (!level) {
+      return null;
+    }
+
+    return level.versions.map(version => ({
+      version: version.version,
+      checksum: this.checksum(version.file),
+      published: version.published || null,
+      author: version.author || null
+    }));
+  }
+
+  describe(level) {
+    const latest = level.versions[level.versions.length - 1];
+
+    return {
+      id: level.id,
+      name: level.name,
+      order: level.order,
+      version: latest.version,
+      checksum: this.checksum(latest.file)
+    };
+  }
+
+  list() {
+    return this.ordered().map(level => this.describe(level));
+  }
+
+  read(version, callback) {
+    fs.readFile(path.join(this.directory, version.file), 'utf8', (err, text) => {
+      callback(err, err ? null : text.replace(/^\uFEFF/, ''));
+    });
+  }
+
+  readSync(version) {
+    const text = fs.readFileSync(path.join(this.directory, version.file), 'utf8');
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+  }
+
+  // Saves data as the next version of a level, adding the level to the end of
+  // the catalogue when it is new.
+  publish(id, name, data, author, callback) {
+    const existing = this.find(id);
+    const last = this.ordered().pop();
+    const level = existing || { id: id, name: id, order: last ? last.order + 1 : 1, versions: [] };
+    const previous = level.versions[level.versions.length - 1];
+    const number = previous ? previous.version + 1 : 1;
+
+    const version = {
+      version: number,
+      file: `${id}.v${number}.json`,
+      published: new Date().toISOString(),
+      author: author
+    };
+
+    try {
+      fs.writeFileSync(path.join(this.directory, version.file), JSON.stringify(data, null, 2));
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    if (!existing) {
+      this.levels.push(level);
+    }
+
+    level.name = name || level.name;
+    level.versions.push(version);
+
+    fs.writeFile(this.filename, JSON.stringify(this.levels, null, 2), err => {
+      callback(err, err ? null : this.describe(level));
+    });
+  }
+}
+
+module.exports = LevelCatalogue;
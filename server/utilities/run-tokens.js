@@ -0,0 +1,89 @@
+
+const crypto = require('crypto');
+
+const TOKEN_LIFETIME = 3 * 60 * 60 * 1000;
+
+// Run tokens are handed out when a game starts and must accompany the score
+// submitted at the end of that run. They are HMAC signed so the server does
+// not need to remember them until they are redeemed, and each one can only
+// be redeemed once on each leaderboard: a run posts its total to the ALL
+// board and each kingdom it cleared to that kingdom's board.
+class RunTokens {
+  constructor(secret) {
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.redeemed = new Map();
+
+    if (!secret) {
+      console.log("No tokenSecret configured, run tokens will not survive a restart");
+    }
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+  }
+
+  issue(service, now) {
+    const run = {
+      id: crypto.randomBytes(12).toString('hex'),
+      service: service,
+      issued: now
+    };
+
+    const payload = Buffer.from(JSON.stringify(run)).toString('base64');
+    this.prune(now);
+
+    return { token: `${payload}.${this.sign(payload)}`, run: run };
+  }
+
+  // Returns the decoded run or an error describing why the token is unusable.
+  verify(token, service, now, board) {
+    const parts = String(token || "").split(".");
+
+    if (parts.length != 2 || parts[1].length != 64) {
+      return { error: "malformed run token" };
+    }
+
+    const expected = Buffer.from(this.sign(parts[0]), 'hex');
+    const given = Buffer.from(parts[1], 'hex');
+
+    if (given.length != expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { error: "run token signature mismatch" };
+    }
+
+    let run = null;
+
+    try {
+      run = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+    } catch (err) {
+      return { error: "malformed run token" };
+    }
+
+    if (run.service != service) {
+      return { error: "run token was issued for another service" };
+    }
+
+    if (now - run.issued > TOKEN_LIFETIME) {
+      return { error: "run token has expired" };
+    }
+
+    if (this.redeemed.has(`${run.id}|${board}`)) {
+      return { error: "run token has already been used on this board" };
+    }
+
+    return { run: run };
+  }
+
+  redeem(run, board) {
+    this.redeemed.set(`${run.id}|${board}`, run.issued);
+  }
+
+  prune(now) {
+    this.redeemed.forEach((issued, key) => {
+      if (now - issued > TOKEN_LIFETIME) {
+        this.redeemed.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = RunTokens;
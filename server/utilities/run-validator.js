@@ -0,0 +1,176 @@
+
+const { normaliseLevel } = require('../../shared/level-schema.js');
+
+// Mirrors the points handed out by the game client: GameSession.addScore
+// calls in Enemy, EnemyBoss, Player and Level.
+const SCORING = {
+  enemyKill: 2,
+  bossHit: 100,
+  levelClear: 100,
+  death: -10,
+  wrongHit: -1
+};
+
+// Nobody clears a kingdom faster than this, even one without enemies.
+const MIN_LEVEL_TIME = 3000;
+
+// Allowed difference between the client's clock and the server's.
+const CLOCK_SLACK = 10000;
+
+const summaryFields = ["levelsCleared", "enemiesKilled", "bossHits", "deaths", "elapsed"];
+
+// Reported by clients that keep run statistics, and checked when present.
+const statisticFields = ["wrongHits", "shotsFired"];
+const killColours = ["green", "red", "black"];
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// Works out the most a player could earn in each level and the quickest it
+// could be cleared, from the same level versions the level API serves.
+const describeLevel = (data) => {
+  const level = normaliseLevel(data);
+  let enemies = 0;
+  let minimumTime = MIN_LEVEL_TIME;
+
+  level.spawns.forEach(spawn => {
+    // Waves started by clearing the previous one can only take longer.
+    const spawnTime = spawn.waves.reduce((time, wave) => time + wave.delay + wave.count * wave.interval, 0);
+
+    enemies += spawn.count;
+    minimumTime = Math.max(minimumTime, spawnTime);
+  });
+
+  return {
+    enemies: enemies,
+    bossHits: level.boss ? level.boss.hitPoints : 0,
+    pickupPoints: level.pickups.reduce((total, pickup) => total + pickup.points, 0),
+    minimumTime: minimumTime
+  };
+};
+
+class RunValidator {
+  // The parts of a checked summary kept with a score.
+  static record(summary) {
+    const record = {};
+
+    summaryFields.concat(statisticFields).forEach(field => {
+      if (summary[field] !== undefined) {
+        record[field] = summary[field];
+      }
+    });
+
+    if (summary.kills !== undefined) {
+      record.kills = {};
+      killColours.forEach(colour => record.kills[colour] = summary.kills[colour]);
+    }
+
+    return record;
+  }
+
+  constructor(catalogue) {
+    this.catalogue = catalogue;
+    this.described = {};
+  }
+
+  // Level files never change once published, so each version is only read
+  // and described once.
+  describe(level) {
+    const version = this.catalogue.findVersion(level.id);
+
+    if (!this.described[version.file]) {
+      this.described[version.file] = describeLevel(this.catalogue.readSync(version));
+    }
+
+    return this.described[version.file];
+  }
+
+  // Picks the levels a run could have touched: the whole campaign up to the
+  // level being played for a full run, or just the one level for its board.
+  levelsFor(board, summary) {
+    if (board.level == "ALL") {
+      return this.catalogue.ordered().slice(0, summary.levelsCleared + 1).map(level => this.describe(level));
+    }
+
+    const level = this.catalogue.find(board.level);
+    return level ? [this.describe(level)] : [];
+  }
+
+  // Returns the reason a submission is implausible, or null when it checks out.
+  check(score, board, summary, run, now) {
+    if (!summary) {
+      return "missing run summary";
+    }
+
+    for (let i = 0; i < summaryFields.length; i++) {
+      if (!isCount(summary[summaryFields[i]])) {
+        return `${summaryFields[i]} must be a non-negative whole number`;
+      }
+    }
+
+    for (let i = 0; i < statisticFields.length; i++) {
+      if (summary[statisticFields[i]] !== undefined && !isCount(summary[statisticFields[i]])) {
+        return `${statisticFields[i]} must be a non-negative whole number`;
+      }
+    }
+
+    if (summary.kills !== undefined) {
+      const kills = summary.kills || {};
+
+      if (!killColours.every(colour => isCount(kills[colour]))) {
+        return `kills must give a non-negative whole number for ${killColours.join(", ")}`;
+      }
+
+      if (killColours.reduce((total, colour) => total + kills[colour], 0) != summary.enemiesKilled) {
+        return "kills by colour do not add up to enemiesKilled";
+      }
+    }
+
+    if (!Number.isFinite(score)) {
+      return "highscore is not a number";
+    }
+
+    const levels = this.levelsFor(board, summary);
+    const maximumCleared = board.level == "ALL" ? this.catalogue.ordered().length : 1;
+
+    if (levels.length == 0 || summary.levelsCleared > maximumCleared) {
+      return `cannot clear ${summary.levelsCleared} levels on the ${board.level} board`;
+    }
+
+    const cleared = levels.slice(0, summary.levelsCleared);
+    const enemies = levels.reduce((total, level) => total + level.enemies, 0);
+    const bossHits = levels.reduce((total, level) => total + level.bossHits, 0);
+    const minimumTime = cleared.reduce((total, level) => total + level.minimumTime, 0);
+    const pickupPoints = levels.reduce((total, level) => total + level.pickupPoints, 0);
+
+    if (summary.enemiesKilled > enemies) {
+      return `killed ${summary.enemiesKilled} enemies but only ${enemies} can spawn`;
+    }
+
+    if (summary.bossHits > bossHits) {
+      return `hit the boss ${summary.bossHits} times but it only takes ${bossHits}`;
+    }
+
+    if (summary.elapsed < minimumTime) {
+      return `cleared ${summary.levelsCleared} levels in ${summary.elapsed}ms, quickest possible is ${minimumTime}ms`;
+    }
+
+    if (summary.elapsed > now - run.issued + CLOCK_SLACK) {
+      return `run lasted ${summary.elapsed}ms but the token is only ${now - run.issued}ms old`;
+    }
+
+    const maximumScore = summary.levelsCleared * SCORING.levelClear +
+      summary.enemiesKilled * SCORING.enemyKill +
+      summary.bossHits * SCORING.bossHit +
+      summary.deaths * SCORING.death +
+      (summary.wrongHits || 0) * SCORING.wrongHit +
+      pickupPoints;
+
+    if (score > maximumScore) {
+      return `score ${score} is above the ${maximumScore} this run could earn`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = RunValidator;
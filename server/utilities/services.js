@@ -0,0 +1,30 @@
+
+// The services known to this server, one per build of the game (such as the
+// web and desktop builds), each with its own news feed and leaderboards.
+class ServiceRegistry {
+  constructor(options) {
+    this.services = options.services;
+    this.defaultService = options.service;
+  }
+
+  list() {
+    return this.services.slice();
+  }
+
+  // Express middleware reading the service from the request body or query
+  // string into req.service. Clients that send neither get the default one.
+  require() {
+    return (req, res, next) => {
+      const service = (req.body && req.body.service) || req.query.service || this.defaultService;
+
+      if (this.services.indexOf(service) == -1) {
+        res.status(400).json({ "msg": `unknown service "${service}"` });
+      } else {
+        req.service = service;
+        next();
+      }
+    };
+  }
+}
+
+module.exports = ServiceRegistry;
@@ -0,0 +1,37 @@
+// Helpers shared by the level command line tools.
+const { readTextures } = require('./level-schema.js');
+const path = require('path');
+const fs = require('fs');
+
+const root = path.join(__dirname, "..");
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8").replace(/^\uFEFF/, ""));
+
+// Every level file named on the command line, with directories expanded to
+// the levels inside them. The catalogue.json beside the game's and the
+// server's levels is skipped. Defaults to game/data/lvl.
+const levelFiles = (targets) => {
+  const files = [];
+
+  if (targets.length == 0) {
+    targets = [path.join(root, "game", "data", "lvl")];
+  }
+
+  targets.forEach(target => {
+    if (fs.statSync(target).isDirectory()) {
+      fs.readdirSync(target)
+        .filter(name => path.extname(name) == ".json" && name != "catalogue.json")
+        .sort()
+        .forEach(name => files.push(path.join(target, name)));
+    } else {
+      files.push(target);
+    }
+  });
+
+  return files;
+};
+
+// The textures the game loads, from game/data/load.json.
+const gameTextures = () => readTextures(readJson(path.join(root, "game", "data", "load.json")));
+
+module.exports = { readJson, levelFiles, gameTextures };
@@ -0,0 +1,519 @@
+// The level formats, shared by the game (bundled by webpack) and the server
+// (required by node). Version 1 levels have no formatVersion and may write
+// numbers as numeric strings, which is how the original levels were saved.
+// Version 2 levels use real numbers, name every entity and can describe
+// moving platforms, pickups, hazards, where the player starts and the
+// checkpoints they come back to after dying. Properties with a default may be
+// left out; normaliseLevel fills them in.
+const FORMAT_VERSION = 2;
+
+const point = {
+  type: "object",
+  required: ["x", "y"],
+  properties: {
+    x: { type: "number" },
+    y: { type: "number" }
+  }
+};
+
+const next = { type: "string", pattern: /^(LV\d{1,3}|GameOver|Menu)$/, default: "GameOver" };
+
+const schemaV1 = {
+  type: "object",
+  required: ["EnemySpawns", "Platforms", "Background"],
+  properties: {
+    EnemySpawns: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["SpawnPosition", "GatePosition", "Spawns", "ID"],
+        properties: {
+          SpawnPosition: point,
+          GatePosition: point,
+          Behaviour: {
+            type: "object",
+            default: {},
+            properties: {
+              // The chance an enemy from this spawn stands idle.
+              Active: { type: "number", minimum: 0, maximum: 1, default: 0.5 }
+            }
+          },
+          Spawns: { type: "number", integer: true, minimum: 0 },
+          Delay: { type: "number", integer: true, minimum: 1, default: 3000 },
+          ID: { type: "texture" }
+        }
+      }
+    },
+
+    Platforms: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["x", "y", "w", "h", "ID"],
+        properties: {
+          x: { type: "number" },
+          y: { type: "number" },
+          w: { type: "number", minimum: 1 },
+          h: { type: "number", minimum: 1 },
+          ID: { type: "texture" }
+        }
+      }
+    },
+
+    Boss: {
+      type: "object",
+      required: ["ID", "HitPoints", "x", "y"],
+      properties: {
+        ID: { type: "texture" },
+        HitPoints: { type: "number", integer: true, minimum: 1 },
+        x: { type: "number" },
+        y: { type: "number" }
+      }
+    },
+
+    Background: { type: "texture" },
+    Next: next
+  }
+};
+
+// Names identify an entity in error messages and level editors, and must be
+// unique within a level.
+const name = { type: "name" };
+
+// The enemy colours, in the order the game numbers enemy types.
+const ENEMY_COLOURS = ["green", "red", "black"];
+
+// A wave lets its enemies out of a spawn in the order they are listed, one
+// every interval ms. It starts delay ms after the previous wave let out its
+// last enemy, or with after "cleared", delay ms after every enemy of the
+// previous wave is dead.
+const wave = {
+  type: "object",
+  required: ["enemies"],
+  properties: {
+    enemies: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["colour"],
+        properties: {
+          colour: { type: "string", pattern: /^(green|red|black)$/ },
+          count: { type: "number", integer: true, minimum: 1, default: 1 },
+          behaviour: { type: "string", pattern: /^(active|idle)$/, default: "active" }
+        }
+      }
+    },
+    interval: { type: "number", integer: true, minimum: 1, default: 3000 },
+    delay: { type: "number", integer: true, minimum: 0, default: 0 },
+    after: { type: "string", pattern: /^(time|cleared)$/, default: "time" }
+  }
+};
+
+const schemaV2 = {
+  type: "object",
+  required: ["formatVersion", "background", "spawns", "platforms"],
+  properties: {
+    formatVersion: { type: "number", integer: true, minimum: 2, maximum: 2 },
+    title: { type: "string" },
+    background: { type: "texture" },
+    next: next,
+    playerStart: Object.assign({ default: { x: 0, y: 650 } }, point),
+
+    // Reaching a checkpoint moves where the player comes back after dying.
+    checkpoints: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["name", "x", "y"],
+        properties: {
+          name: name,
+          x: { type: "number" },
+          y: { type: "number" },
+          radius: { type: "number", minimum: 1, default: 80 }
+        }
+      }
+    },
+
+    spawns: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "texture", "position"],
+        properties: {
+          name: name,
+          texture: { type: "texture" },
+          position: point,
+          // Where the spawn's gate is drawn, at position unless given.
+          gate: point,
+          // A spawn without waves lets out count enemies, one every delay ms,
+          // taking turns at each colour with idleChance of them idle.
+          count: { type: "number", integer: true, minimum: 0, default: 0 },
+          delay: { type: "number", integer: true, minimum: 1, default: 3000 },
+          waves: { type: "array", items: wave },
+          idleChance: { type: "number", minimum: 0, maximum: 1, default: 0.5 }
+        }
+      }
+    },
+
+    platforms: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["name", "texture", "x", "y", "w", "h"],
+        properties: {
+          name: name,
+          texture: { type: "texture" },
+          x: { type: "number" },
+          y: { type: "number" },
+          w: { type: "number", minimum: 1 },
+          h: { type: "number", minimum: 1 },
+          // Moving platforms travel to x, y over duration ms and back again.
+          path: {
+            type: "object",
+            required: ["x", "y", "duration"],
+            properties: {
+              x: { type: "number" },
+              y: { type: "number" },
+              duration: { type: "number", integer: true, minimum: 1 }
+            }
+          }
+        }
+      }
+    },
+
+    boss: {
+      type: "object",
+      required: ["name", "texture", "hitPoints", "x", "y"],
+      properties: {
+        name: name,
+        texture: { type: "texture" },
+        hitPoints: { type: "number", integer: true, minimum: 1 },
+        x: { type: "number" },
+        y: { type: "number" }
+      }
+    },
+
+    pickups: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["name", "texture", "x", "y"],
+        properties: {
+          name: name,
+          texture: { type: "texture" },
+          x: { type: "number" },
+          y: { type: "number" },
+          points: { type: "number", integer: true, minimum: 1, default: 10 }
+        }
+      }
+    },
+
+    // Touching a hazard kills the player.
+    hazards: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        required: ["name", "texture", "x", "y", "w", "h"],
+        properties: {
+          name: name,
+          texture: { type: "texture" },
+          x: { type: "number" },
+          y: { type: "number" },
+          w: { type: "number", minimum: 1 },
+          h: { type: "number", minimum: 1 }
+        }
+      }
+    }
+  }
+};
+
+const schemas = { 1: schemaV1, 2: schemaV2 };
+
+const describe = (value) => {
+  if (Array.isArray(value)) return "an array";
+  if (value === null) return "null";
+  if (value === undefined) return "nothing";
+  return `a ${typeof value}`;
+};
+
+const readNumber = (value, numericStrings) => {
+  if (typeof value == "number") {
+    return value;
+  }
+
+  if (numericStrings && typeof value == "string" && value.trim() !== "") {
+    return Number(value);
+  }
+
+  return NaN;
+};
+
+const check = (rule, value, path, context, errors) => {
+  const fail = (message) => errors.push({ path: path, message: message });
+
+  switch (rule.type) {
+    case "object": {
+      if (typeof value != "object" || value === null || Array.isArray(value)) {
+        fail(`expected an object but found ${describe(value)}`);
+        break;
+      }
+
+      (rule.required || []).forEach(name => {
+        if (value[name] === undefined) {
+          fail(`missing required property "${name}"`);
+        }
+      });
+
+      Object.keys(value).forEach(name => {
+        if (!rule.properties[name]) {
+          fail(`unknown property "${name}"`);
+        } else {
+          check(rule.properties[name], value[name], `${path}.${name}`, context, errors);
+        }
+      });
+      break;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        fail(`expected an array but found ${describe(value)}`);
+        break;
+      }
+
+      if (rule.minItems && value.length < rule.minItems) {
+        fail(`needs at least ${rule.minItems} ${rule.minItems == 1 ? "entry" : "entries"}`);
+      }
+
+      value.forEach((item, i) => check(rule.items, item, `${path}[${i}]`, context, errors));
+      break;
+    }
+
+    case "number": {
+      const number = readNumber(value, context.numericStrings);
+
+      if (!Number.isFinite(number)) {
+        fail(`expected a number but found ${JSON.stringify(value)}`);
+      } else if (rule.integer && !Number.isInteger(number)) {
+        fail(`expected a whole number but found ${JSON.stringify(value)}`);
+      } else if (rule.minimum !== undefined && number < rule.minimum) {
+        fail(`must be at least ${rule.minimum} but is ${number}`);
+      } else if (rule.maximum !== undefined && number > rule.maximum) {
+        fail(`must be at most ${rule.maximum} but is ${number}`);
+      }
+      break;
+    }
+
+    case "string": {
+      if (typeof value != "string") {
+        fail(`expected a string but found ${describe(value)}`);
+      } else if (rule.pattern && !rule.pattern.test(value)) {
+        fail(`"${value}" does not match ${rule.pattern}`);
+      }
+      break;
+    }
+
+    case "name": {
+      if (typeof value != "string" || !/^[A-Za-z0-9_-]+$/.test(value)) {
+        fail(`expected a name made of letters, digits, - and _ but found ${JSON.stringify(value)}`);
+      } else if (context.names.has(value)) {
+        fail(`name "${value}" is already used by ${context.names.get(value)}`);
+      } else {
+        context.names.set(value, path.replace(/\.name$/, ""));
+      }
+      break;
+    }
+
+    case "texture": {
+      if (typeof value != "string") {
+        fail(`expected a texture ID but found ${describe(value)}`);
+      } else if (context.textures && context.textures.indexOf(value) == -1) {
+        fail(`unknown texture "${value}", it is not listed in data/load.json`);
+      }
+      break;
+    }
+
+    default: fail(`schema has unsupported type ${rule.type}`); break;
+  }
+};
+
+// The format a level is written in. Levels from before formatVersion was
+// added are version 1.
+const levelVersion = (level) => {
+  if (level && typeof level == "object" && level.formatVersion !== undefined) {
+    return level.formatVersion;
+  }
+
+  return 1;
+};
+
+// Returns every problem found in a level as { path, message } pairs, where
+// path is a JSON path such as $.spawns[1].gate. Texture IDs are only checked
+// when a list of known textures is given.
+const validateLevel = (level, textures) => {
+  const version = levelVersion(level);
+  const errors = [];
+
+  if (!schemas[version]) {
+    errors.push({ path: "$.formatVersion", message: `unsupported format version ${JSON.stringify(version)}, expected 1 or ${FORMAT_VERSION}` });
+    return errors;
+  }
+
+  const context = {
+    textures: textures || null,
+    numericStrings: version == 1,
+    names: new Map()
+  };
+
+  check(schemas[version], level, "$", context, errors);
+  return errors;
+};
+
+// The IDs of every asset the game loads, from its data/load.json.
+const readTextures = (assets) => {
+  return assets.assets
+    .filter(asset => asset.type == "image" || asset.type == "spritesheet")
+    .map(asset => asset.ID);
+};
+
+const normalise = (rule, value) => {
+  if (value === undefined) {
+    value = rule.default;
+  }
+
+  if (value === undefined) {
+    return undefined;
+  }
+
+  switch (rule.type) {
+    case "object": {
+      const result = {};
+
+      Object.keys(rule.properties).forEach(name => {
+        const property = normalise(rule.properties[name], value[name]);
+
+        if (property !== undefined) {
+          result[name] = property;
+        }
+      });
+      return result;
+    }
+
+    case "array": return value.map(item => normalise(rule.items, item));
+    case "number": return readNumber(value, true);
+    default: return value;
+  }
+};
+
+// Converts a valid version 1 level to version 2, naming each entity after its
+// kind and position in the file.
+const upgradeLevel = (level) => {
+  const v1 = normalise(schemaV1, level);
+
+  const upgraded = {
+    formatVersion: FORMAT_VERSION,
+    background: v1.Background,
+    next: v1.Next,
+    playerStart: { x: 0, y: 650 },
+    checkpoints: [],
+
+    spawns: v1.EnemySpawns.map((spawn, i) => ({
+      name: `spawn-${i + 1}`,
+      texture: spawn.ID,
+      position: spawn.SpawnPosition,
+      gate: spawn.GatePosition,
+      count: spawn.Spawns,
+      delay: spawn.Delay,
+      idleChance: spawn.Behaviour.Active
+    })),
+
+    platforms: v1.Platforms.map((platform, i) => ({
+      name: `platform-${i + 1}`,
+      texture: platform.ID,
+      x: platform.x,
+      y: platform.y,
+      w: platform.w,
+      h: platform.h
+    }))
+  };
+
+  if (v1.Boss) {
+    upgraded.boss = {
+      name: "boss",
+      texture: v1.Boss.ID,
+      hitPoints: v1.Boss.HitPoints,
+      x: v1.Boss.x,
+      y: v1.Boss.y
+    };
+  }
+
+  upgraded.pickups = [];
+  upgraded.hazards = [];
+  return upgraded;
+};
+
+// Spells out a spawn written with count, delay and idleChance as one wave. Its
+// idle enemies are spread evenly through it.
+const shorthandWave = (spawn) => {
+  const enemies = [];
+
+  for (let i = 0; i < spawn.count; i++) {
+    const idle = Math.floor((i + 1) * spawn.idleChance) > Math.floor(i * spawn.idleChance);
+
+    enemies.push({
+      colour: ENEMY_COLOURS[i % ENEMY_COLOURS.length],
+      count: 1,
+      behaviour: idle ? "idle" : "active"
+    });
+  }
+
+  return { enemies: enemies, interval: spawn.delay, delay: 0, after: "time" };
+};
+
+// A version 2 copy of a valid level of either version, with every missing
+// property that has a default filled in, ready for Level.createWorld. Every
+// spawn has its waves, each wave's count is the number of enemies in it and
+// the spawn's count is the number in all of them.
+const normaliseLevel = (level) => {
+  const result = normalise(schemaV2, levelVersion(level) == 1 ? upgradeLevel(level) : level);
+
+  result.spawns.forEach(spawn => {
+    if (!spawn.gate) {
+      spawn.gate = { x: spawn.position.x, y: spawn.position.y };
+    }
+
+    if (!spawn.waves) {
+      spawn.waves = spawn.count > 0 ? [shorthandWave(spawn)] : [];
+    }
+
+    spawn.waves.forEach(wave => {
+      wave.count = wave.enemies.reduce((total, group) => total + group.count, 0);
+    });
+
+    spawn.count = spawn.waves.reduce((total, wave) => total + wave.count, 0);
+  });
+
+  return result;
+};
+
+// Formats validation errors as one "path: message" line each.
+const formatErrors = (errors) => {
+  return errors.map(error => `${error.path}: ${error.message}`).join("\n");
+};
+
+module.exports = {
+  FORMAT_VERSION,
+  ENEMY_COLOURS,
+  schemas,
+  levelVersion,
+  validateLevel,
+  normaliseLevel,
+  upgradeLevel,
+  formatErrors,
+  readTextures
+};
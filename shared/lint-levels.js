@@ -0,0 +1,38 @@
+// Checks level files against the shared level schema.
+//
+//   node shared/lint-levels.js [file or directory...]
+//
+// With no arguments every level in game/data/lvl is checked. Texture IDs are
+// checked against game/data/load.json. Exits with 1 if any level is invalid.
+const { validateLevel, levelVersion, formatErrors } = require('./level-schema.js');
+const { readJson, levelFiles, gameTextures } = require('./level-files.js');
+const path = require('path');
+
+const textures = gameTextures();
+const files = levelFiles(process.argv.slice(2));
+
+let failed = 0;
+
+files.forEach(file => {
+  const name = path.relative(process.cwd(), file);
+  let level = null;
+  let errors;
+
+  try {
+    level = readJson(file);
+    errors = validateLevel(level, textures);
+  } catch (err) {
+    errors = [{ path: "$", message: `is not valid JSON, ${err.message}` }];
+  }
+
+  if (errors.length > 0) {
+    failed++;
+    console.log(`${name}:`);
+    console.log(formatErrors(errors).replace(/^/gm, "  "));
+  } else {
+    console.log(`${name}: ok (format version ${levelVersion(level)})`);
+  }
+});
+
+console.log(`${files.length - failed} of ${files.length} levels are valid.`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,41 @@
+// Rewrites version 1 level files in the version 2 format.
+//
+//   node shared/upgrade-levels.js [file or directory...]
+//
+// With no arguments every level in game/data/lvl is upgraded. Levels that are
+// already version 2 are left alone, and invalid levels are reported and left
+// alone so nothing is lost. Exits with 1 if any level could not be upgraded.
+const { validateLevel, levelVersion, upgradeLevel, formatErrors } = require('./level-schema.js');
+const { readJson, levelFiles } = require('./level-files.js');
+const path = require('path');
+const fs = require('fs');
+
+let failed = 0;
+
+levelFiles(process.argv.slice(2)).forEach(file => {
+  const name = path.relative(process.cwd(), file);
+  let level;
+
+  try {
+    level = readJson(file);
+  } catch (err) {
+    failed++;
+    console.log(`${name}: not valid JSON, ${err.message}`);
+    return;
+  }
+
+  const errors = validateLevel(level);
+
+  if (errors.length > 0) {
+    failed++;
+    console.log(`${name}: not upgraded, it is invalid:`);
+    console.log(formatErrors(errors).replace(/^/gm, "  "));
+  } else if (levelVersion(level) != 1) {
+    console.log(`${name}: already format version ${levelVersion(level)}`);
+  } else {
+    fs.writeFileSync(file, JSON.stringify(upgradeLevel(level), null, 2) + "\n");
+    console.log(`${name}: upgraded`);
+  }
+});
+
+process.exitCode = failed > 0 ? 1 : 0;